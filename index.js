@@ -24,15 +24,23 @@ function logPerformance(label) {
 }
 
 // Core dependencies
+const fs = require('fs');
 const config = require('./src/config/ConfigManager');
 const DisplayController = require('./src/display/DisplayController');
 const MQTTClient = require('./src/mqtt/MQTTClient');
+const ConfigSchema = require('./src/config/ConfigSchema');
+const ConfigRollback = require('./src/config/ConfigRollback');
+const QuietHours = require('./src/display/QuietHours');
+const SystemControl = require('./src/util/SystemControl');
+const HomeAssistantDiscovery = require('./src/mqtt/HomeAssistantDiscovery');
 
 // Defer GPIO loading for speed
 let GPIOHandler = null;
 
 // Simple buffer for images received during startup
 let bufferedImage = null;
+let bufferedImageOptions = {};
+let bufferedImageReceipt = null;
 let bufferedImageTime = 0;
 
 class Application {
@@ -44,6 +52,25 @@ class Application {
     this.configProcessed = false;
     this.shuttingDown = false;
     this.displayInitialized = false;
+    this.homeAssistant = null;
+    this.lastRender = null; // Duration and time of the last successful render
+
+    // Reverts remote config changes that break rendering
+    this.configRollback = new ConfigRollback();
+    this.configRollback.on('rollback', (event) => this.handleConfigRollback(event));
+    this.configRollback.on('confirmed', (version) => {
+      if (this.mqttClient) {
+        this.mqttClient.publishConfigStatus({ status: 'confirmed', version });
+      }
+    });
+
+    // Holds back images while the panel must not flash
+    this.quietHours = new QuietHours();
+    this.quietHours.on('start', () => this.handleQuietHoursStart());
+    this.quietHours.on('end', () => this.handleQuietHoursEnd());
+    this.queuedImage = null; // Latest image received during quiet hours
+    this.imageBeforeSleep = null; // Image covered by the sleep screen
+    this.redrawAfterQuietHours = false; // A config rollback during quiet hours left the panel stale
 
     logPerformance('Application constructor completed');
   }
@@ -63,6 +90,12 @@ class Application {
     // Start GPIO in background
     setTimeout(() => this.initGpio(), 1000);
 
+    // Keep watching a config version left unconfirmed before a restart
+    this.configRollback.start();
+
+    // Queue images from now on if a quiet window is active
+    this.quietHours.start();
+
     // Set up clean shutdown
     this.setupGracefulShutdown();
 
@@ -96,11 +129,17 @@ class Application {
       this.displayController = new DisplayController();
       await this.displayController.init();
       this.displayInitialized = true;
+      console.log('Display capabilities:', JSON.stringify(this.displayController.getCapabilities()));
 
       // Record metrics
       performanceMetrics.displayInitialized = Date.now() - performanceMetrics.startTimestamp;
       logPerformance('Display initialization completed');
 
+      // Re-announce online status now that panel info is available
+      if (this.mqttClient && this.mqttClient.isConnected) {
+        this.mqttClient.publishStatus('online');
+      }
+
       console.log('Display ready - checking for buffered images');
       this.processBufferedImage();
 
@@ -120,9 +159,17 @@ class Application {
       this.mqttClient = new MQTTClient({
         handleImageMessage: this.handleImageMessage.bind(this),
         handleConfigMessage: this.handleConfigMessage.bind(this),
-        onMqttConnected: this.handleMqttConnected.bind(this)
+        handleCommand: this.handleCommand.bind(this),
+        onMqttConnected: this.handleMqttConnected.bind(this),
+        getStatusInfo: this.getStatusInfo.bind(this)
       });
 
+      if (config.homeAssistant.enabled) {
+        this.homeAssistant = new HomeAssistantDiscovery(this.mqttClient, this.getHomeAssistantState.bind(this));
+        // Retained discovery configs are republished on every (re)connect
+        this.mqttClient.on('connected', () => this.homeAssistant.publishDiscovery());
+      }
+
       await this.mqttClient.connect();
       return true;
     } catch (error) {
@@ -147,6 +194,31 @@ class Application {
     }
   }
 
+  /**
+   * Device details included in the online status message
+   * @returns {Object} Status info with panel capabilities
+   */
+  getStatusInfo() {
+    return {
+      deviceId: config.device.id,
+      panel: this.displayController ? this.displayController.getCapabilities() : null
+    };
+  }
+
+  /**
+   * Current frame state for the Home Assistant entities
+   * @returns {Object} State published on device/<id>/ha/state
+   */
+  getHomeAssistantState() {
+    return {
+      brightness: config.display.gamma,
+      autoShutdown: config.autoShutdown.enabled,
+      lastRenderMs: this.lastRender ? this.lastRender.renderMs : null,
+      lastDisplayed: this.lastRender ? new Date(this.lastRender.at).toISOString() : null,
+      uptime: Math.round(process.uptime())
+    };
+  }
+
   /**
    * Handle MQTT connection established
    */
@@ -159,23 +231,102 @@ class Application {
 
   /**
    * Handle image messages from MQTT
+   * @param {Buffer} imageData - Raw image data
+   * @param {Object} [options] - Per-image display options (e.g. waveform)
+   * @param {Object} [receipt] - Receipt context used to acknowledge the render
    */
-  async handleImageMessage(imageData) {
+  async handleImageMessage(imageData, options = {}, receipt = null) {
     // Record time
     performanceMetrics.imageReceived = Date.now() - performanceMetrics.startTimestamp;
     console.log(`Received image after ${performanceMetrics.imageReceived}ms`);
     logPerformance('Image received');
 
+    if (this.quietHours.quiet) {
+      this.queueImage(imageData, options, receipt);
+      return;
+    }
+
     if (!this.displayInitialized) {
       // Buffer the image if display isn't ready yet
       console.log('Display not ready - buffering image for later');
       bufferedImage = imageData;
+      bufferedImageOptions = options;
+      bufferedImageReceipt = receipt;
       bufferedImageTime = Date.now();
       return;
     }
 
     // Process image immediately
-    await this.displayImage(imageData);
+    await this.displayImage(imageData, options, receipt);
+  }
+
+  /**
+   * Hold an image until the quiet hours end; only the latest one is kept
+   * @param {Buffer} imageData - Raw image data
+   * @param {Object} [options] - Per-image display options
+   * @param {Object} [receipt] - Receipt context used to acknowledge the render
+   */
+  queueImage(imageData, options = {}, receipt = null) {
+    if (this.queuedImage && this.mqttClient) {
+      this.mqttClient.publishImageStatus(this.queuedImage.receipt, { status: 'superseded' });
+    }
+
+    console.log('Quiet hours active - queueing image until they end');
+    this.queuedImage = { data: imageData, options, receipt };
+
+    if (this.mqttClient) {
+      this.mqttClient.publishImageStatus(receipt, { status: 'queued' });
+    }
+  }
+
+  /**
+   * Show the configured sleep screen when quiet hours start
+   */
+  async handleQuietHoursStart() {
+    const { sleepScreen, sleepImage } = config.schedule;
+    if (sleepScreen === 'none' || !this.displayInitialized) {
+      return;
+    }
+
+    try {
+      this.imageBeforeSleep = this.displayController.lastImage;
+
+      if (sleepScreen === 'image' && sleepImage) {
+        console.log(`Showing sleep image ${sleepImage}`);
+        const data = await fs.promises.readFile(sleepImage);
+        await this.displayController.displayImage(data, {});
+      } else {
+        console.log('Clearing the display for quiet hours');
+        this.displayController.clear();
+      }
+    } catch (error) {
+      console.error('Error showing sleep screen:', error);
+    }
+  }
+
+  /**
+   * Display the image queued during quiet hours, restore the image covered
+   * by the sleep screen, or redraw the last image after a config rollback
+   */
+  async handleQuietHoursEnd() {
+    const queued = this.queuedImage;
+    const covered = this.imageBeforeSleep;
+    const redraw = this.redrawAfterQuietHours;
+    this.queuedImage = null;
+    this.imageBeforeSleep = null;
+    this.redrawAfterQuietHours = false;
+
+    if (queued) {
+      console.log('Displaying the image queued during quiet hours');
+      await this.handleImageMessage(queued.data, queued.options, queued.receipt);
+    } else if (covered && this.displayInitialized) {
+      console.log('Restoring the image shown before quiet hours');
+      await this.displayImage(covered.data, covered.options);
+    } else if (redraw && this.displayInitialized && this.displayController.lastImage) {
+      const last = this.displayController.lastImage;
+      console.log('Redrawing the last image with the config restored during quiet hours');
+      await this.displayImage(last.data, last.options);
+    }
   }
 
   /**
@@ -187,24 +338,54 @@ class Application {
       console.log(`Processing buffered image (received ${imageAge}ms ago)`);
 
       const image = bufferedImage;
+      const options = bufferedImageOptions;
+      const receipt = bufferedImageReceipt;
       bufferedImage = null;
+      bufferedImageOptions = {};
+      bufferedImageReceipt = null;
 
-      await this.displayImage(image);
+      await this.displayImage(image, options, receipt);
     }
   }
 
   /**
    * Display image on e-ink screen
+   * @param {Buffer} imageData - Raw image data
+   * @param {Object} [options] - Per-image display options (e.g. waveform)
+   * @param {Object} [receipt] - Receipt context used to acknowledge the render
    */
-  async displayImage(imageData) {
+  async displayImage(imageData, options = {}, receipt = null) {
+    // Track timing
+    const displayStart = process.hrtime();
+    const getRenderTimeMs = () => {
+      const elapsed = process.hrtime(displayStart);
+      return (elapsed[0] * 1000 + elapsed[1] / 1000000).toFixed(2);
+    };
+
     try {
       console.log('Displaying image on e-ink screen');
 
-      // Track timing
-      const displayStart = process.hrtime();
-      await this.displayController.displayImage(imageData);
-      const elapsed = process.hrtime(displayStart);
-      const renderTimeMs = (elapsed[0] * 1000 + elapsed[1] / 1000000).toFixed(2);
+      const result = await this.displayController.displayImage(imageData, options);
+      const renderTimeMs = getRenderTimeMs();
+
+      // Acknowledge the render so the backend knows the image reached the glass
+      if (this.mqttClient) {
+        this.mqttClient.publishImageStatus(receipt, {
+          status: 'displayed',
+          renderMs: parseFloat(renderTimeMs),
+          width: result ? result.width : null,
+          height: result ? result.height : null,
+          // Set when the refresh policy drew the image with a full GC16 refresh instead of the requested waveform
+          ...(result && result.fullRefresh ? { fullRefresh: true, waveform: result.waveform } : {})
+        });
+      }
+
+      this.lastRender = { renderMs: parseFloat(renderTimeMs), at: Date.now() };
+      this.configRollback.renderSucceeded();
+      if (this.homeAssistant) {
+        this.homeAssistant.publishImage(imageData);
+        this.homeAssistant.publishState();
+      }
 
       // Update metrics
       this.imageProcessed = true;
@@ -218,74 +399,108 @@ class Application {
       this.checkAutoShutdown();
     } catch (error) {
       console.error('Error displaying image:', error);
+
+      if (this.mqttClient) {
+        this.mqttClient.publishImageStatus(receipt, {
+          status: 'failed',
+          renderMs: parseFloat(getRenderTimeMs()),
+          error: error.message
+        });
+      }
+
+      await this.checkPendingConfig(imageData, error);
     }
   }
 
   /**
-   * Handle config messages
+   * Decide whether a failed render was caused by a pending config version.
+   * A new image may simply be broken, so the last image that rendered is
+   * drawn again: the version is only rolled back if that fails too.
+   * @param {Buffer} imageData - Image that failed to render
+   * @param {Error} error - Render error
    */
-  handleConfigMessage(messageData) {
-    try {
-      console.log('Received configuration update');
-      logPerformance('Config message received');
+  async checkPendingConfig(imageData, error) {
+    if (this.configRollback.pending === null) {
+      return;
+    }
 
-      const configData = JSON.parse(messageData.toString());
-      console.log('Parsed config data:', JSON.stringify(configData, null, 2));
+    const known = this.displayController.lastImage;
+    if (!known) {
+      console.warn(`Keeping config version ${this.configRollback.pending}: no image has rendered yet to check it with`);
+      return;
+    }
+    if (known.data === imageData) {
+      // This image rendered before the config change
+      this.configRollback.renderFailed(error);
+      return;
+    }
 
-      // Create display config object if it doesn't exist
-      if (!configData.display) configData.display = {};
+    console.log('Redrawing the last image to check the pending config version');
+    try {
+      await this.displayController.displayImage(known.data, known.options);
+      console.log('The last image still renders, keeping the config version');
+      this.configRollback.renderSucceeded();
+    } catch (retryError) {
+      console.error('Error redrawing the last image:', retryError);
+      this.configRollback.renderFailed(retryError);
+    }
+  }
 
-      // Check all possible brightness field formats
-      let brightness = null;
+  /**
+   * Handle config messages. The message is validated against ConfigSchema;
+   * only valid, remotely settable fields are applied.
+   * @param {Buffer} messageData - JSON config message
+   * @returns {{status: string, applied: string[], ignored: string[], rejected: Array<{key: string, reason: string}>,
+   *   version: number}} Result published on device/<id>/config/status
+   */
+  handleConfigMessage(messageData) {
+    console.log('Received configuration update');
+    logPerformance('Config message received');
 
-      // Check for nested display.brightness
-      if (configData.display && configData.display.brightness !== undefined) {
-        brightness = parseFloat(configData.display.brightness);
-        console.log(`Found brightness in display.brightness: ${brightness}`);
-      }
-      // Check for displayBrightness (format seen in logs)
-      else if (configData.displayBrightness !== undefined) {
-        brightness = parseFloat(configData.displayBrightness);
-        console.log(`Found brightness in displayBrightness: ${brightness}`);
-        // Map this to the correct format for our config system
-        configData.display.brightness = brightness;
-      }
-      // Check for top-level brightness
-      else if (configData.brightness !== undefined) {
-        brightness = parseFloat(configData.brightness);
-        console.log(`Found brightness in top-level brightness: ${brightness}`);
-        // Map this to the correct format for our config system
-        configData.display.brightness = brightness;
-      }
+    let configData;
+    try {
+      configData = JSON.parse(messageData.toString());
+    } catch (error) {
+      console.error('Invalid config message:', error.message);
+      return { status: 'rejected', applied: [], ignored: [], rejected: [{ key: '', reason: `Invalid JSON: ${error.message}` }] };
+    }
+    console.log('Parsed config data:', JSON.stringify(configData, null, 2));
 
-      // Validate the brightness value if found
-      if (brightness !== null && !isNaN(brightness)) {
-        console.log(`Using brightness value: ${brightness}`);
-        configData.display.brightness = brightness;
-      }
+    const { updates, applied, ignored, rejected } = ConfigSchema.validate(configData);
+    if (ignored.length > 0) {
+      console.warn(`Ignoring config fields: ${ignored.join(', ')}`);
+    }
+    rejected.forEach(({ key, reason }) => console.warn(`Rejected config field ${key}: ${reason}`));
 
-      // Handle autoShutdown configuration
-      if (configData.enableAutoShutdown !== undefined) {
-        configData.autoShutdown = {
-          enabled: Boolean(configData.enableAutoShutdown)
-        };
-        console.log(`Setting autoShutdown to: ${configData.autoShutdown.enabled}`);
-      }
+    let status = 'applied';
+    if (applied.length === 0) {
+      status = rejected.length > 0 ? 'rejected' : 'ignored';
+    } else if (rejected.length > 0 || ignored.length > 0) {
+      status = 'partial';
+    }
+    const result = { status, applied, ignored, rejected };
 
-      // Update configuration
-      config.updateConfig(configData);
-      this.configProcessed = true;
+    if (applied.length === 0) {
+      return result;
+    }
 
-      // Apply brightness if initialized
-      if (this.displayInitialized && config.display.brightness !== undefined) {
-        console.log(`Applying brightness value to display: ${config.display.brightness}`);
-        this.displayController.setBrightness(config.display.brightness);
-      }
+    try {
+      console.log('Applying config:', JSON.stringify(updates));
+      // Applies the settings and persists them to the state file
+      // The new version is tracked by ConfigRollback and rolled back unless it's confirmed
+      config.updateConfig(updates);
+      this.configProcessed = true;
+      result.version = config.configVersion;
 
+      // Group subscriptions, the full refresh schedule and the Home Assistant
+      // state follow through config 'change' events
       this.checkAutoShutdown();
     } catch (error) {
       console.error('Error processing config message:', error);
+      return { status: 'failed', applied: [], ignored, rejected, error: error.message };
     }
+
+    return result;
   }
 
   /**
@@ -306,6 +521,136 @@ class Application {
     }
   }
 
+  /**
+   * Report a config rollback and redraw the last image that rendered with the restored settings
+   * @param {{from: number, to: number, reason: string}} event - Rollback details
+   */
+  async handleConfigRollback({ from, to, reason }) {
+    if (this.mqttClient) {
+      this.mqttClient.publishConfigStatus({ status: 'rolled-back', version: to, from, reason });
+    }
+
+    // During quiet hours the redraw is deferred to handleQuietHoursEnd
+    if (this.quietHours.quiet) {
+      this.redrawAfterQuietHours = true;
+      return;
+    }
+
+    const last = this.displayInitialized ? this.displayController.lastImage : null;
+    if (last) {
+      console.log('Redrawing the last image with the restored config');
+      await this.displayImage(last.data, last.options);
+    }
+  }
+
+  /**
+   * Execute a remote command received on the command topic
+   * @param {string} command - Command name (already checked against the allowlist)
+   * @param {Object} [args] - Command arguments
+   * @returns {Promise<Object|null>} Command result sent back in the response
+   */
+  async handleCommand(command, args = {}) {
+    switch (command) {
+      case 'ping':
+        return { pong: true, uptime: Math.round(process.uptime()) };
+
+      case 'get-config':
+        // {"key": "display.gamma"} explains where a single setting came from
+        if (args && args.key) {
+          return config.explain(String(args.key));
+        }
+        return {
+          display: { ...config.display },
+          autoShutdown: { ...config.autoShutdown },
+          gpio: { ...config.gpio }
+        };
+
+      case 'confirm-config':
+        return this.configRollback.confirm(args && args.version !== undefined ? Number(args.version) : undefined);
+
+      case 'clear':
+        this.requireDisplay();
+        this.requireAwake();
+        this.displayController.clear();
+        return null;
+
+      case 'refresh':
+        this.requireDisplay();
+        this.requireAwake();
+        return (await this.displayController.fullRefresh()) || null;
+
+      case 'redisplay-last': {
+        this.requireDisplay();
+        this.requireAwake();
+        const last = this.displayController.lastImage;
+        if (!last) {
+          throw new Error('No image has been displayed yet');
+        }
+        return this.displayController.displayImage(last.data, last.options);
+      }
+
+      case 'reboot':
+      case 'shutdown':
+        this.powerCommand(command);
+        return { scheduled: true };
+
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
+  }
+
+  /**
+   * Make sure the display is ready for a display command
+   */
+  requireDisplay() {
+    if (!this.displayController || !this.displayInitialized) {
+      throw new Error('Display not initialized');
+    }
+  }
+
+  /**
+   * Fail commands that redraw the panel while quiet hours are active
+   * @throws {Error} If quiet hours are active
+   */
+  requireAwake() {
+    if (this.quietHours.quiet) {
+      throw new Error('Quiet hours are active, the display is not redrawn until they end');
+    }
+  }
+
+  /**
+   * Reboot or shut down the host after the command response was sent
+   * @param {string} action - 'reboot' or 'shutdown'
+   */
+  powerCommand(action) {
+    if (this.shuttingDown) {
+      return;
+    }
+    this.shuttingDown = true;
+
+    console.log(`Remote ${action} initiated...`);
+
+    setTimeout(async () => {
+      if (this.mqttClient) {
+        await this.mqttClient.close();
+      }
+
+      if (this.displayController) {
+        this.displayController.close();
+      }
+
+      if (this.gpioHandler) {
+        this.gpioHandler.close();
+      }
+
+      if (action === 'reboot') {
+        SystemControl.reboot();
+      } else {
+        SystemControl.shutdown();
+      }
+    }, 2000);
+  }
+
   /**
    * Check if auto-shutdown criteria are met
    */
@@ -333,9 +678,10 @@ class Application {
 
     setTimeout(async () => {
       console.log('Closing MQTT connection and e-ink display');
+      this.quietHours.stop();
 
       if (this.mqttClient) {
-        await this.mqttClient.disconnect();
+        await this.mqttClient.close();
       }
 
       if (this.displayController) {
@@ -355,9 +701,10 @@ class Application {
   setupGracefulShutdown() {
     process.on('SIGINT', async () => {
       console.log('Graceful shutdown initiated');
+      this.quietHours.stop();
 
       if (this.mqttClient) {
-        await this.mqttClient.disconnect();
+        await this.mqttClient.close();
       }
 
       if (this.displayController) {
@@ -272,6 +272,8 @@ MQTT_USERNAME=$MQTT_USERNAME
 MQTT_PASSWORD=$MQTT_PASSWORD
 MQTT_TOPIC_IMAGE_DISPLAY=device/+/image/display
 MQTT_TOPIC_DEVICE_STATUS=device/+/status/online
+MQTT_TRANSPORT=mqtts
+MQTT_TLS_VERIFY=true
 IMAGE_SAVE_PATH=./images
 SPECIFIC_DEVICE_ID=$MAC_ADDRESS
 EOF
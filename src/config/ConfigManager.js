@@ -1,85 +1,56 @@
 /**
  * Configuration Manager for MQTT and Display settings - Optimized for fast startup
+ *
+ * Every setting is declared in ConfigSchema and resolved from layered sources,
+ * lowest to highest precedence:
+ *   1. default  - schema defaults
+ *   2. file     - JSON config file (--config, CONFIG_FILE or ./config.json)
+ *   3. env      - environment variables and .env
+ *   4. cli      - command line flags, e.g. --display.rotation=90
+ *   5. remote   - config topic messages, persisted in the state file
+ *
+ * Events:
+ *   - 'change' ({key, value, previous, source}): the effective value of a setting changed
+ *   - 'version' (version): updateConfig recorded a new, unconfirmed config version
  */
+const EventEmitter = require('events');
 
-// Avoid requiring dotenv at the top level - implement a more targeted approach
-// that only loads what's needed immediately
-class ConfigManager {
+// Sections exposed as properties (config.display, config.mqtt, ...)
+const SECTIONS = ['device', 'mqtt', 'display', 'image', 'commands', 'security', 'homeAssistant', 'fleet', 'autoShutdown',
+  'schedule', 'rollback', 'gpio'];
+
+class ConfigManager extends EventEmitter {
   constructor() {
+    super();
+
     // Track which config sections have been initialized
-    this._initialized = {
-      device: false,
-      mqtt: false,
-      display: false,
-      autoShutdown: false,
-      gpio: false
-    };
+    this._initialized = {};
+    SECTIONS.forEach(section => { this._initialized[section] = false; });
 
-    // Pre-load only the critical device ID for faster startup
-    this._loadDeviceConfig();
+    // Built on first use so requiring this module stays cheap
+    this._resolver = null;
+    this._stateStore = null;
   }
 
   /**
-   * Load only the essential device configuration
-   * @private
+   * Get device configuration - lazy loaded
    */
-  _loadDeviceConfig() {
-    if (this._initialized.device) return;
-
-    // Fast loading of device ID directly from environment or .env
-    let deviceId = process.env.SPECIFIC_DEVICE_ID;
-
-    // If not in environment, try reading directly from .env for speed
-    if (!deviceId) {
-      try {
-        const fs = require('fs');
-        const path = require('path');
-        const envPath = path.join(process.cwd(), '.env');
-        if (fs.existsSync(envPath)) {
-          const envContent = fs.readFileSync(envPath, 'utf8');
-          const match = envContent.match(/SPECIFIC_DEVICE_ID\s*=\s*(.+)$/m);
-          if (match) {
-            deviceId = match[1].trim();
-          }
-        }
-      } catch (e) {
-        // Silently continue on error
-      }
+  get device() {
+    if (!this._initialized.device) {
+      this._device = this._buildSection('device');
+      this._initialized.device = true;
     }
 
-    this.device = {
-      id: deviceId || 'unknown-device'
-    };
-
-    this._initialized.device = true;
+    return this._device;
   }
 
   /**
-   * Get MQTT configuration - lazy loaded only when needed
+   * Get MQTT configuration - lazy loaded
    */
   get mqtt() {
     if (!this._initialized.mqtt) {
-      this._loadEnvIfNeeded();
-
-      this._mqtt = {
-        broker: {
-          url: process.env.MQTT_BROKER_URL,
-          port: parseInt(process.env.MQTT_BROKER_PORT) || 8883
-        },
-        options: {
-          clientId: (process.env.MQTT_CLIENT_ID || 'einkframe-') + this.device.id,
-          username: process.env.MQTT_USERNAME,
-          password: process.env.MQTT_PASSWORD,
-          clean: true,
-          rejectUnauthorized: false,
-          protocol: 'mqtts'
-        },
-        topics: {
-          imageDisplay: process.env.MQTT_TOPIC_IMAGE_DISPLAY,
-          deviceStatus: process.env.MQTT_TOPIC_DEVICE_STATUS
-        }
-      };
-
+      this._mqtt = this._buildSection('mqtt');
+      this._mqtt.options.clientId = this._mqtt.clientIdPrefix + this.device.id;
       this._initialized.mqtt = true;
     }
 
@@ -91,28 +62,14 @@ class ConfigManager {
    */
   get display() {
     if (!this._initialized.display) {
-      this._loadEnvIfNeeded();
+      this._display = this._buildSection('display');
 
-      // Parse brightness from environment if available
-      let brightness = 1.0;
-      if (process.env.DISPLAY_BRIGHTNESS) {
-        try {
-          const parsedBrightness = parseFloat(process.env.DISPLAY_BRIGHTNESS);
-          if (!isNaN(parsedBrightness) && parsedBrightness > 0) {
-            brightness = parsedBrightness;
-          }
-        } catch (e) {
-          // Continue with default on error
-        }
-      }
-
-      this._display = {
-        maxBufferSize: 32797,
-        align4Bytes: true,
-        vcom: 2270,
-        bpp: 4, // 4 bits per pixel, 16 grayscale levels
-        brightness: brightness
-      };
+      // Backwards-compatible alias: brightness reads and writes gamma
+      Object.defineProperty(this._display, 'brightness', {
+        get: () => this._display.gamma,
+        set: (value) => { this._display.gamma = value; },
+        enumerable: true
+      });
 
       this._initialized.display = true;
     }
@@ -120,36 +77,321 @@ class ConfigManager {
     return this._display;
   }
 
+  /**
+   * Get image payload configuration - lazy loaded
+   */
+  get image() {
+    if (!this._initialized.image) {
+      this._image = this._buildSection('image');
+      this._initialized.image = true;
+    }
+
+    return this._image;
+  }
+
+  /**
+   * Get remote command configuration - lazy loaded
+   */
+  get commands() {
+    if (!this._initialized.commands) {
+      this._commands = this._buildSection('commands');
+      this._initialized.commands = true;
+    }
+
+    return this._commands;
+  }
+
+  /**
+   * Get payload signature configuration - lazy loaded
+   */
+  get security() {
+    if (!this._initialized.security) {
+      this._security = this._buildSection('security');
+      if (this._security.signatureMode === 'invalid') {
+        console.error('Unknown SIGNATURE_MODE, rejecting all image, config and command messages');
+      }
+      this._initialized.security = true;
+    }
+
+    return this._security;
+  }
+
+  /**
+   * Get Home Assistant MQTT discovery configuration - lazy loaded
+   */
+  get homeAssistant() {
+    if (!this._initialized.homeAssistant) {
+      this._homeAssistant = this._buildSection('homeAssistant');
+      this._initialized.homeAssistant = true;
+    }
+
+    return this._homeAssistant;
+  }
+
+  /**
+   * Get group and broadcast configuration - lazy loaded
+   */
+  get fleet() {
+    if (!this._initialized.fleet) {
+      this._fleet = this._buildSection('fleet');
+      this._initialized.fleet = true;
+    }
+
+    return this._fleet;
+  }
+
   /**
    * Get auto-shutdown configuration - lazy loaded
    */
   get autoShutdown() {
     if (!this._initialized.autoShutdown) {
-      this._autoShutdown = {
-        enabled: false
-      };
-
+      this._autoShutdown = this._buildSection('autoShutdown');
       this._initialized.autoShutdown = true;
     }
 
     return this._autoShutdown;
   }
 
+  /**
+   * Get quiet hours configuration - lazy loaded
+   */
+  get schedule() {
+    if (!this._initialized.schedule) {
+      this._schedule = this._buildSection('schedule');
+      this._initialized.schedule = true;
+    }
+
+    return this._schedule;
+  }
+
+  /**
+   * Get config rollback configuration - lazy loaded
+   */
+  get rollback() {
+    if (!this._initialized.rollback) {
+      this._rollback = this._buildSection('rollback');
+      this._initialized.rollback = true;
+    }
+
+    return this._rollback;
+  }
+
   /**
    * Get GPIO configuration - lazy loaded
    */
   get gpio() {
     if (!this._initialized.gpio) {
-      this._gpio = {
-        enabled: false
-      };
-
+      this._gpio = this._buildSection('gpio');
       this._initialized.gpio = true;
     }
 
     return this._gpio;
   }
 
+  /**
+   * Get the state file holding remote settings - lazy loaded
+   */
+  get stateStore() {
+    if (!this._stateStore) {
+      this._loadEnvIfNeeded();
+
+      const path = require('path');
+      const StateStore = require('./StateStore');
+      this._stateStore = new StateStore(process.env.DEVICE_STATE_FILE || path.join(process.cwd(), 'device-state.json'));
+    }
+
+    return this._stateStore;
+  }
+
+  /**
+   * Effective value of a setting
+   * @param {string} key - Config path, e.g. display.gamma
+   * @returns {*} Value
+   */
+  get(key) {
+    return this._getResolver().get(key);
+  }
+
+  /**
+   * Describe where the value of a setting came from
+   * @param {string} key - Config path, e.g. display.gamma
+   * @returns {Object} Effective value, winning layer and the value of every layer that defines it
+   */
+  explain(key) {
+    return this._getResolver().explain(key);
+  }
+
+  /**
+   * Build a section object from the resolved settings
+   * @param {string} section - Section name
+   * @returns {Object} Nested settings of the section
+   * @private
+   */
+  _buildSection(section) {
+    const ConfigSchema = this._getSchema();
+    const resolver = this._getResolver();
+    const result = {};
+
+    for (const key of Object.keys(ConfigSchema.SCHEMA)) {
+      if (key.startsWith(`${section}.`)) {
+        ConfigSchema.setPath(result, key.slice(section.length + 1), resolver.get(key));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Create the resolver and load every layer
+   * @returns {ConfigResolver} Resolver
+   * @private
+   */
+  _getResolver() {
+    if (!this._resolver) {
+      this._loadEnvIfNeeded();
+
+      const ConfigResolver = require('./ConfigResolver');
+      this._resolver = new ConfigResolver();
+
+      const args = this._parseArgs(process.argv.slice(2));
+      this._loadConfigFile(args.configFile || process.env.CONFIG_FILE);
+      this._loadEnvLayer();
+      args.settings.forEach(({ key, value, origin }) => this._resolver.set('cli', key, value, origin));
+      this._loadRemoteLayer();
+    }
+
+    return this._resolver;
+  }
+
+  /**
+   * Schema module, required on first use because it depends on modules that
+   * require this one
+   * @returns {ConfigSchema} Schema class
+   * @private
+   */
+  _getSchema() {
+    return require('./ConfigSchema');
+  }
+
+  /**
+   * Load the JSON config file layer
+   * @param {string} [filePath] - Config file; ./config.json is used if present
+   * @private
+   */
+  _loadConfigFile(filePath) {
+    const fs = require('fs');
+    const path = require('path');
+    const ConfigSchema = this._getSchema();
+
+    const resolved = path.resolve(filePath || 'config.json');
+    if (!fs.existsSync(resolved)) {
+      if (filePath) {
+        console.error(`Config file not found: ${resolved}`);
+      }
+      return;
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      for (const [key, value] of ConfigSchema.flatten(data)) {
+        if (ConfigSchema.SCHEMA[key]) {
+          this._resolver.set('file', key, value, resolved);
+        } else {
+          console.warn(`Ignoring unknown setting ${key} in ${resolved}`);
+        }
+      }
+      console.log(`Loaded config file ${resolved}`);
+    } catch (error) {
+      console.error(`Error reading config file ${resolved}:`, error.message);
+    }
+  }
+
+  /**
+   * Load the environment layer; empty variables count as unset
+   * @private
+   */
+  _loadEnvLayer() {
+    const ConfigSchema = this._getSchema();
+
+    for (const [key, entry] of Object.entries(ConfigSchema.SCHEMA)) {
+      const names = [].concat(entry.env || []);
+      const name = names.find(candidate => process.env[candidate] !== undefined && process.env[candidate] !== '');
+      if (name) {
+        this._resolver.set('env', key, process.env[name], name);
+      }
+    }
+  }
+
+  /**
+   * Parse command line flags: --config <file> and --<config path>=<value>
+   * (or --<config path> <value>; a flag without value means true)
+   * @param {string[]} argv - Arguments after the script name
+   * @returns {{configFile: string|null, settings: Array<{key: string, value: string, origin: string}>}}
+   * @private
+   */
+  _parseArgs(argv) {
+    const ConfigSchema = this._getSchema();
+    const result = { configFile: null, settings: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+      const match = argv[i].match(/^--([^=]+)(?:=(.*))?$/);
+      if (!match) {
+        console.warn(`Ignoring command line argument: ${argv[i]}`);
+        continue;
+      }
+
+      const key = match[1];
+      let value = match[2];
+      if (value === undefined) {
+        value = argv[i + 1] !== undefined && !argv[i + 1].startsWith('--') ? argv[++i] : 'true';
+      }
+
+      if (key === 'config') {
+        result.configFile = value;
+      } else if (ConfigSchema.SCHEMA[key]) {
+        result.settings.push({ key, value, origin: `--${key}` });
+      } else {
+        console.warn(`Ignoring unknown command line setting: --${key}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Load the remote layer and the version history from the state file. The
+   * settings are validated like a config message.
+   * @private
+   */
+  _loadRemoteLayer() {
+    const ConfigSchema = this._getSchema();
+    const state = this.stateStore.load();
+
+    // Files written before versioning hold the settings at the top level
+    const versioned = state.settings !== undefined;
+    const { updates, ignored, rejected } = ConfigSchema.validate(versioned ? state.settings : state);
+    if (ignored.length > 0) {
+      console.warn(`Ignoring unknown settings in state file: ${ignored.join(', ')}`);
+    }
+    rejected.forEach(({ key, reason }) => console.warn(`Ignoring state file setting ${key}: ${reason}`));
+
+    const fields = ConfigSchema.flatten(updates);
+    for (const [key, value] of fields) {
+      this._resolver.set('remote', key, value, 'state file');
+    }
+
+    if (versioned) {
+      this._versions = {
+        current: Number.isInteger(state.version) ? state.version : 0,
+        history: Array.isArray(state.history) ? state.history : []
+      };
+    } else if (fields.size > 0) {
+      this._versions = { current: 1, history: [{ version: 1, timestamp: Date.now(), settings: updates, confirmed: true }] };
+    } else {
+      this._versions = { current: 0, history: [] };
+    }
+  }
+
   /**
    * Load environment variables if not already loaded
    * @private
@@ -168,22 +410,211 @@ class ConfigManager {
   }
 
   /**
-   * Update configuration with new values
-   * @param {Object} configData - New configuration data
+   * Version of the remote settings; 0 means no remote settings
+   */
+  get configVersion() {
+    this._getResolver();
+    return this._versions.current;
+  }
+
+  /**
+   * Version applied but not confirmed yet, or null
+   */
+  get pendingConfigVersion() {
+    const entry = this._getVersion(this.configVersion);
+    return entry && !entry.confirmed ? entry.version : null;
+  }
+
+  /**
+   * Applied config versions, oldest first
+   * @returns {Array<{version: number, timestamp: number, confirmed: boolean, rolledBack?: boolean}>} History
+   *   without the settings
+   */
+  get configHistory() {
+    this._getResolver();
+    return this._versions.history.map(({ settings, ...entry }) => entry);
+  }
+
+  /**
+   * Update configuration with remote values. Only settings marked `remote`
+   * in ConfigSchema are accepted; they are persisted to the state file so
+   * they survive a restart, and a 'change' event is emitted for every
+   * setting whose effective value changed. Each update that changes
+   * something is recorded as a new, unconfirmed version and announced with
+   * a 'version' event (before the 'change' events), which ConfigRollback
+   * follows.
+   * @param {Object} configData - New configuration data, e.g. {display: {gamma: 1.2}}
+   * @returns {number|null} New config version, or null if nothing changed
    */
   updateConfig(configData) {
-    // Update only what's provided in the configData
-    if (configData.display) {
-      Object.assign(this.display, configData.display);
+    const ConfigSchema = this._getSchema();
+    this._getResolver();
+
+    const { updates, ignored, rejected } = ConfigSchema.validate(configData);
+    if (ignored.length > 0) {
+      console.warn(`Ignoring settings that can't be changed remotely: ${ignored.join(', ')}`);
     }
+    rejected.forEach(({ key, reason }) => console.warn(`Ignoring invalid setting ${key}: ${reason}`));
 
-    if (configData.autoShutdown !== undefined) {
-      this.autoShutdown.enabled = configData.autoShutdown === true;
+    const changes = this._applyRemote(ConfigSchema.flatten(updates), 'config message', false);
+    if (changes.length === 0) {
+      return null;
     }
 
-    if (configData.gpio) {
-      Object.assign(this.gpio, configData.gpio);
+    const version = this._recordVersion();
+    this._saveState();
+    this.emit('version', version);
+    changes.forEach(change => this.emit('change', change));
+    return version;
+  }
+
+  /**
+   * Mark a config version as known-good
+   * @param {number} version - Version to confirm
+   * @returns {boolean} True if the version exists
+   */
+  confirmConfig(version) {
+    const entry = this._getVersion(version);
+    if (!entry) {
+      return false;
+    }
+
+    if (!entry.confirmed) {
+      entry.confirmed = true;
+      this._saveState();
+    }
+    return true;
+  }
+
+  /**
+   * Revert the remote settings to the last confirmed version (or to no
+   * remote settings if none was confirmed)
+   * @returns {{from: number, to: number}|null} Versions, or null if the current version is already confirmed
+   */
+  rollbackConfig() {
+    const ConfigSchema = this._getSchema();
+    const from = this.configVersion;
+    const failed = this._getVersion(from);
+    if (!failed || failed.confirmed) {
+      return null;
+    }
+
+    const target = this._versions.history.filter(entry => entry.confirmed && entry.version < from).pop();
+    const { updates } = ConfigSchema.validate(target ? target.settings : {});
+    const to = target ? target.version : 0;
+
+    const changes = this._applyRemote(ConfigSchema.flatten(updates), `version ${to}`, true);
+    failed.rolledBack = true;
+    this._versions.current = to;
+    this._saveState();
+    changes.forEach(change => this.emit('change', change));
+
+    return { from, to };
+  }
+
+  /**
+   * Set remote values and update the section objects
+   * @param {Map<string, *>} fields - Values by config path
+   * @param {string} origin - Origin recorded in the remote layer
+   * @param {boolean} replace - Drop remote values not in fields
+   * @returns {Array<{key: string, value: *, previous: *, source: string}>} Settings whose effective value changed
+   * @private
+   */
+  _applyRemote(fields, origin, replace) {
+    const ConfigSchema = this._getSchema();
+    const resolver = this._getResolver();
+
+    const keys = new Set(fields.keys());
+    if (replace) {
+      resolver.values('remote').forEach((value, key) => keys.add(key));
+    }
+
+    const previous = new Map();
+    keys.forEach(key => previous.set(key, resolver.get(key)));
+
+    if (replace) {
+      resolver.clear('remote');
+    }
+    for (const [key, value] of fields) {
+      resolver.set('remote', key, value, origin);
     }
+
+    const changes = [];
+    for (const key of keys) {
+      const value = resolver.get(key);
+      if (JSON.stringify(value) === JSON.stringify(previous.get(key))) {
+        continue;
+      }
+
+      // Update the section object in place so existing references see the change
+      const [section, ...rest] = key.split('.');
+      if (this._initialized[section]) {
+        ConfigSchema.setPath(this[`_${section}`], rest.join('.'), value);
+      }
+
+      changes.push({ key, value, previous: previous.get(key), source: 'remote' });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Record the current remote settings as a new, unconfirmed version. The
+   * history is trimmed to rollback.historySize, always keeping the latest
+   * confirmed version.
+   * @returns {number} New version
+   * @private
+   */
+  _recordVersion() {
+    const { history } = this._versions;
+    const version = history.reduce((max, entry) => Math.max(max, entry.version), this._versions.current) + 1;
+
+    history.push({ version, timestamp: Date.now(), settings: this._remoteSettings(), confirmed: false });
+    this._versions.current = version;
+
+    while (history.length > this.rollback.historySize) {
+      const lastConfirmed = history.filter(entry => entry.confirmed).pop();
+      history.splice(history.findIndex(entry => entry !== lastConfirmed), 1);
+    }
+
+    return version;
+  }
+
+  /**
+   * Find a recorded version
+   * @param {number} version - Version number
+   * @returns {Object|undefined} History entry
+   * @private
+   */
+  _getVersion(version) {
+    this._getResolver();
+    return this._versions.history.find(entry => entry.version === version);
+  }
+
+  /**
+   * Remote layer as nested settings
+   * @returns {Object} Settings, e.g. {display: {gamma: 1.2}}
+   * @private
+   */
+  _remoteSettings() {
+    const ConfigSchema = this._getSchema();
+    const settings = {};
+    for (const [key, value] of this._getResolver().values('remote')) {
+      ConfigSchema.setPath(settings, key, value);
+    }
+    return settings;
+  }
+
+  /**
+   * Write the remote settings and version history to the state file
+   * @private
+   */
+  _saveState() {
+    this.stateStore.save({
+      version: this._versions.current,
+      settings: this._remoteSettings(),
+      history: this._versions.history
+    });
   }
 }
 
@@ -0,0 +1,188 @@
+/**
+ * ConfigResolver - Resolves settings from layered sources
+ * Layers in increasing precedence: default < file < env < cli < remote.
+ * Every layer except the defaults holds raw values by config path; a value
+ * is checked against ConfigSchema when it is resolved, and an invalid value
+ * falls back to the next lower layer.
+ */
+const ConfigSchema = require('./ConfigSchema');
+
+// Layers from lowest to highest precedence
+const LAYERS = ['default', 'file', 'env', 'cli', 'remote'];
+
+class ConfigResolver {
+  constructor() {
+    // Raw values by layer and config path: {value, origin}
+    this.layers = {
+      file: new Map(),
+      env: new Map(),
+      cli: new Map(),
+      remote: new Map()
+    };
+
+    // Resolved settings, cleared whenever a layer changes
+    this.cache = new Map();
+
+    // Invalid values already reported, so each is only logged once
+    this.reported = new Set();
+  }
+
+  /**
+   * Layer names from lowest to highest precedence
+   * @returns {string[]} Layer names
+   */
+  static get LAYERS() {
+    return LAYERS;
+  }
+
+  /**
+   * Set a raw value in a layer
+   * @param {string} layer - file, env, cli or remote
+   * @param {string} key - Config path, e.g. display.gamma
+   * @param {*} value - Raw value (strings are accepted for every type)
+   * @param {string} [origin] - Where the value came from (file name, variable, flag)
+   */
+  set(layer, key, value, origin = layer) {
+    if (!this.layers[layer]) {
+      throw new Error(`Unknown config layer: ${layer}`);
+    }
+    if (!ConfigSchema.SCHEMA[key]) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    this.layers[layer].set(key, { value, origin });
+    this.cache.clear();
+  }
+
+  /**
+   * Remove all values from a layer
+   * @param {string} layer - file, env, cli or remote
+   */
+  clear(layer) {
+    this.layers[layer].clear();
+    this.cache.clear();
+  }
+
+  /**
+   * Raw values of a layer
+   * @param {string} layer - file, env, cli or remote
+   * @returns {Map<string, *>} Values by config path
+   */
+  values(layer) {
+    const result = new Map();
+    for (const [key, { value }] of this.layers[layer]) {
+      result.set(key, value);
+    }
+    return result;
+  }
+
+  /**
+   * Effective value of a setting
+   * @param {string} key - Config path
+   * @returns {*} Value from the highest layer holding a valid value
+   */
+  get(key) {
+    const { value } = this.resolve(key);
+    return Array.isArray(value) ? value.slice() : value;
+  }
+
+  /**
+   * Resolve a setting
+   * @param {string} key - Config path
+   * @returns {{value: *, source: string, origin: string}} Value, layer and origin it came from
+   */
+  resolve(key) {
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    const entry = ConfigSchema.SCHEMA[key];
+    if (!entry) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    let result = null;
+    for (const layer of LAYERS.slice(1).reverse()) {
+      const raw = this.layers[layer].get(key);
+      if (!raw) continue;
+
+      try {
+        result = { value: ConfigSchema.coerce(entry, raw.value), source: layer, origin: raw.origin };
+        break;
+      } catch (error) {
+        if (entry.invalid !== undefined) {
+          this.report(key, raw, error, `using "${entry.invalid}"`);
+          result = { value: entry.invalid, source: layer, origin: raw.origin };
+          break;
+        }
+        this.report(key, raw, error, 'using a lower layer');
+      }
+    }
+
+    if (!result) {
+      const value = typeof entry.default === 'function' ? entry.default(path => this.get(path)) : entry.default;
+      result = { value, source: 'default', origin: 'default' };
+    }
+
+    this.cache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Describe where the value of a setting came from
+   * @param {string} key - Config path
+   * @returns {{key: string, value: *, source: string, origin: string, remote: boolean,
+   *   layers: Array<{layer: string, origin: string, value: *, error?: string}>}}
+   *   Effective value and every layer that defines the setting, lowest first (secrets are masked)
+   */
+  explain(key) {
+    const entry = ConfigSchema.SCHEMA[key];
+    if (!entry) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    const mask = value => (entry.secret && value !== undefined && value !== '' ? '***' : value);
+    const { value, source, origin } = this.resolve(key);
+
+    const layers = [];
+    if (entry.default !== undefined) {
+      const defaultValue = typeof entry.default === 'function' ? entry.default(path => this.get(path)) : entry.default;
+      layers.push({ layer: 'default', origin: 'default', value: mask(defaultValue) });
+    }
+    for (const layer of LAYERS.slice(1)) {
+      const raw = this.layers[layer].get(key);
+      if (!raw) continue;
+
+      const described = { layer, origin: raw.origin, value: mask(raw.value) };
+      try {
+        ConfigSchema.coerce(entry, raw.value);
+      } catch (error) {
+        described.error = error.message;
+      }
+      layers.push(described);
+    }
+
+    return { key, value: mask(value), source, origin, remote: entry.remote === true, layers };
+  }
+
+  /**
+   * Log an invalid value once
+   * @param {string} key - Config path
+   * @param {{value: *, origin: string}} raw - Invalid raw value
+   * @param {Error} error - Validation error
+   * @param {string} action - What happens instead
+   * @private
+   */
+  report(key, raw, error, action) {
+    const id = `${key}\n${raw.origin}\n${JSON.stringify(raw.value)}`;
+    if (this.reported.has(id)) {
+      return;
+    }
+    this.reported.add(id);
+
+    const shown = ConfigSchema.SCHEMA[key].secret ? '***' : JSON.stringify(raw.value);
+    console.warn(`Invalid ${key} ${shown} from ${raw.origin} (${error.message}), ${action}`);
+  }
+}
+
+module.exports = ConfigResolver;
@@ -0,0 +1,145 @@
+/**
+ * ConfigRollback - Reverts remote config changes that break the frame
+ * Every version recorded by ConfigManager.updateConfig (announced with its
+ * 'version' event) stays pending until it is confirmed. It is rolled back to
+ * the last confirmed version if a render attributed to it fails (see
+ * Application.checkPendingConfig), or, when rollback.confirmTimeout is set,
+ * if no confirm-config command arrives in time. Without a confirm window a
+ * successful render confirms the version.
+ *
+ * Events:
+ *   - 'confirmed' (version): a pending version was confirmed
+ *   - 'rollback' ({from, to, reason}): a pending version was reverted
+ */
+const EventEmitter = require('events');
+const config = require('./ConfigManager');
+
+class ConfigRollback extends EventEmitter {
+  constructor() {
+    super();
+    this.pending = null;
+    this.timer = null;
+
+    // Watch every version applied through ConfigManager.updateConfig
+    config.on('version', (version) => this.track(version));
+  }
+
+  /**
+   * Resume watching a version that was still pending before a restart
+   */
+  start() {
+    const version = config.pendingConfigVersion;
+    if (version !== null) {
+      console.log(`Config version ${version} is not confirmed yet`);
+      this.track(version);
+    }
+  }
+
+  /**
+   * Watch a newly applied version
+   * @param {number} version - Version returned by ConfigManager.updateConfig
+   */
+  track(version) {
+    this.stopTimer();
+    this.pending = version;
+
+    const timeout = config.rollback.confirmTimeout;
+    if (timeout > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.rollback(`Not confirmed within ${timeout}s`);
+      }, timeout * 1000);
+      // Don't keep the process alive just for the confirm window
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Confirm the pending version (confirm-config command)
+   * @param {number} [version] - Version being confirmed; defaults to the pending one
+   * @returns {{version: number}} Confirmed version
+   * @throws {Error} If no version or a different version is pending
+   */
+  confirm(version = this.pending) {
+    if (this.pending === null) {
+      throw new Error('No config version is pending');
+    }
+    if (version !== this.pending) {
+      throw new Error(`Config version ${version} is not pending (pending: ${this.pending})`);
+    }
+
+    return { version: this.markConfirmed() };
+  }
+
+  /**
+   * Report a successful render; confirms the pending version unless an
+   * explicit confirmation is required
+   */
+  renderSucceeded() {
+    if (this.pending !== null && !(config.rollback.confirmTimeout > 0)) {
+      this.markConfirmed();
+    }
+  }
+
+  /**
+   * Report a render failure caused by the pending version (an image that
+   * rendered before fails with it); reverts the pending version
+   * @param {Error} error - Render error
+   */
+  renderFailed(error) {
+    if (this.pending !== null) {
+      this.rollback(`Render failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark the pending version as known-good
+   * @returns {number} Confirmed version
+   * @private
+   */
+  markConfirmed() {
+    const version = this.pending;
+    this.stopTimer();
+    this.pending = null;
+
+    config.confirmConfig(version);
+    console.log(`Config version ${version} confirmed`);
+    this.emit('confirmed', version);
+    return version;
+  }
+
+  /**
+   * Revert the pending version to the last confirmed one
+   * @param {string} reason - Why the version is reverted
+   * @private
+   */
+  rollback(reason) {
+    this.stopTimer();
+    this.pending = null;
+
+    try {
+      const result = config.rollbackConfig();
+      if (!result) {
+        return;
+      }
+
+      console.warn(`Rolled back config version ${result.from} to ${result.to}: ${reason}`);
+      this.emit('rollback', { ...result, reason });
+    } catch (error) {
+      console.error('Error rolling back config:', error);
+    }
+  }
+
+  /**
+   * Stop the confirm window timer
+   * @private
+   */
+  stopTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = ConfigRollback;
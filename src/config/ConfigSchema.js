@@ -0,0 +1,431 @@
+/**
+ * ConfigSchema - Declares every setting with its type, default and sources
+ * ConfigManager resolves each setting from the layers default < config file <
+ * env < CLI < remote. Settings marked `remote` may also be changed on the
+ * config topic; config messages are validated against this schema before
+ * they reach ConfigManager.updateConfig, so unknown keys are ignored and
+ * invalid values rejected instead of putting garbage into the running config.
+ */
+const Dithering = require('../util/Dithering');
+const { WAVEFORM_MODES } = require('../display/WaveformModes');
+const ToneMapper = require('../display/ToneMapper');
+const PixelPacker = require('../display/PixelPacker');
+const PaletteQuantizer = require('../display/PaletteQuantizer');
+const RefreshPolicy = require('../display/RefreshPolicy');
+const BaseDisplayAdapter = require('../display/adapters/BaseDisplayAdapter');
+const QuietHours = require('../display/QuietHours');
+
+// Default broker port per transport
+const DEFAULT_PORTS = { mqtt: 1883, mqtts: 8883, ws: 80, wss: 443 };
+
+/**
+ * Settings by config path. Entry fields:
+ *   - type: value type (see below)
+ *   - env: environment variable, or list of names where the first one set wins
+ *   - default: default value, or a function receiving get(path) for values derived from other settings
+ *   - remote: may be changed on the config topic; `aliases` are older spellings accepted there
+ *   - secret: value is masked by ConfigManager.explain
+ *   - invalid: value used when a source holds an invalid value, instead of falling back to a lower layer
+ * Supported types:
+ *   - string, and list (array or comma-separated string)
+ *   - number / integer: optional min and max
+ *   - boolean: true/false (or "true"/"false")
+ *   - enum: one of `values`; `transform` ('lower' or 'upper') is applied to strings first
+ *   - color: '#rrggbb' or '#rgb'
+ *   - time: 'HH:MM', or '' to disable
+ *   - palette: built-in palette name, custom palette definition, or '' for grayscale
+ *   - groups: list (or comma-separated string) of group names
+ *   - windows: list (or ';'-separated string) of quiet windows, see QuietHours.parseWindow
+ *   - timezone: IANA timezone name, or '' for the system timezone
+ */
+const SCHEMA = {
+  // Device
+  'device.id': { type: 'string', env: 'SPECIFIC_DEVICE_ID', default: 'unknown-device' },
+  'device.isRaspberryPi': { type: 'boolean', env: 'IS_RASPBERRY_PI', default: true },
+
+  // Broker connection
+  'mqtt.broker.url': { type: 'string', env: 'MQTT_BROKER_URL' },
+  'mqtt.broker.transport': {
+    type: 'enum', values: Object.keys(DEFAULT_PORTS), transform: 'lower', env: 'MQTT_TRANSPORT', default: 'mqtts'
+  },
+  'mqtt.broker.port': {
+    type: 'integer', min: 1, max: 65535, env: 'MQTT_BROKER_PORT',
+    default: get => DEFAULT_PORTS[get('mqtt.broker.transport')]
+  },
+  'mqtt.broker.wsPath': { type: 'string', env: 'MQTT_WS_PATH', default: '/mqtt' },
+  'mqtt.tls.caPath': { type: 'string', env: 'MQTT_TLS_CA', default: '' },
+  'mqtt.tls.certPath': { type: 'string', env: 'MQTT_TLS_CERT', default: '' },
+  'mqtt.tls.keyPath': { type: 'string', env: 'MQTT_TLS_KEY', default: '' },
+  'mqtt.tls.keyPassphrase': { type: 'string', env: 'MQTT_TLS_KEY_PASSPHRASE', default: '', secret: true },
+  'mqtt.tls.verify': { type: 'boolean', env: 'MQTT_TLS_VERIFY', default: true },
+  'mqtt.reconnect.minDelay': { type: 'integer', min: 1, env: 'MQTT_RECONNECT_MIN_DELAY', default: 1000 },
+  'mqtt.reconnect.maxDelay': { type: 'integer', min: 1, env: 'MQTT_RECONNECT_MAX_DELAY', default: 60000 },
+  'mqtt.clientIdPrefix': { type: 'string', env: 'MQTT_CLIENT_ID', default: 'einkframe-' },
+  'mqtt.options.username': { type: 'string', env: 'MQTT_USERNAME' },
+  'mqtt.options.password': { type: 'string', env: 'MQTT_PASSWORD', secret: true },
+  'mqtt.options.clean': { type: 'boolean', default: true },
+  'mqtt.topics.imageDisplay': { type: 'string', env: 'MQTT_TOPIC_IMAGE_DISPLAY' },
+  'mqtt.topics.deviceStatus': { type: 'string', env: 'MQTT_TOPIC_DEVICE_STATUS' },
+
+  // Display hardware
+  'display.adapter': {
+    type: 'string', env: 'DISPLAY_ADAPTER',
+    default: get => (get('device.isRaspberryPi') ? 'it8951' : 'file') // Older installs only set IS_RASPBERRY_PI
+  },
+  'display.adapterPlugins': { type: 'list', env: 'DISPLAY_ADAPTER_PLUGINS', default: [] },
+  'display.colorDriver': { type: 'string', env: 'DISPLAY_COLOR_DRIVER', default: '' },
+  'display.maxBufferSize': { type: 'integer', min: 1, env: 'DISPLAY_MAX_BUFFER_SIZE', default: 32797 },
+  'display.align4Bytes': { type: 'boolean', default: true },
+  'display.vcom': { type: 'integer', min: 0, env: 'DISPLAY_VCOM', default: 2270 },
+  'display.width': { type: 'integer', min: 1, env: 'DISPLAY_WIDTH', default: null },
+  'display.height': { type: 'integer', min: 1, env: 'DISPLAY_HEIGHT', default: null },
+
+  // Rendering
+  'display.gamma': {
+    type: 'number',
+    min: ToneMapper.RANGES.gamma[0],
+    max: ToneMapper.RANGES.gamma[1],
+    env: ['DISPLAY_GAMMA', 'DISPLAY_BRIGHTNESS'],
+    default: 1.0,
+    remote: true,
+    aliases: ['display.brightness', 'displayBrightness', 'brightness']
+  },
+  'display.contrast': {
+    type: 'number', min: ToneMapper.RANGES.contrast[0], max: ToneMapper.RANGES.contrast[1],
+    env: 'DISPLAY_CONTRAST', default: 1.0, remote: true
+  },
+  'display.blackPoint': {
+    type: 'number', min: ToneMapper.RANGES.blackPoint[0], max: ToneMapper.RANGES.blackPoint[1],
+    env: 'DISPLAY_BLACK_POINT', default: 0, remote: true
+  },
+  'display.whitePoint': {
+    type: 'number', min: ToneMapper.RANGES.whitePoint[0], max: ToneMapper.RANGES.whitePoint[1],
+    env: 'DISPLAY_WHITE_POINT', default: 255, remote: true
+  },
+  'display.autoLevels': { type: 'boolean', env: 'DISPLAY_AUTO_LEVELS', default: false, remote: true },
+  'display.equalize': { type: 'boolean', env: 'DISPLAY_EQUALIZE', default: false, remote: true },
+  'display.dithering': {
+    type: 'enum', values: Dithering.METHODS, transform: 'lower',
+    env: 'DISPLAY_DITHERING', default: 'floyd-steinberg', remote: true, aliases: ['displayDithering']
+  },
+  'display.waveform': {
+    type: 'enum', values: Object.keys(WAVEFORM_MODES), transform: 'upper',
+    env: 'DISPLAY_WAVEFORM', default: 'GC16', remote: true, aliases: ['displayWaveform']
+  },
+  'display.bpp': { type: 'enum', values: PixelPacker.SUPPORTED_BPP, env: 'DISPLAY_BPP', default: 4, remote: true },
+  'display.palette': { type: 'palette', env: 'DISPLAY_PALETTE', default: '', remote: true },
+  'display.fit': {
+    type: 'enum', values: BaseDisplayAdapter.FIT_MODES, transform: 'lower', env: 'DISPLAY_FIT', default: 'contain', remote: true
+  },
+  'display.rotation': { type: 'enum', values: BaseDisplayAdapter.ROTATIONS, env: 'DISPLAY_ROTATION', default: 0, remote: true },
+  'display.background': { type: 'color', env: 'DISPLAY_BACKGROUND', default: '#ffffff', remote: true },
+  'display.autoOrient': { type: 'boolean', env: 'DISPLAY_AUTO_ORIENT', default: true, remote: true },
+  'display.partialRefresh': { type: 'boolean', env: 'DISPLAY_PARTIAL_REFRESH', default: true, remote: true },
+  'display.partialRefreshThreshold': {
+    type: 'number', min: 0, max: 1, env: 'DISPLAY_PARTIAL_REFRESH_THRESHOLD', default: 0.5, remote: true
+  },
+  'display.fullRefreshEvery': {
+    type: 'integer', min: 0, max: 1000, env: 'DISPLAY_FULL_REFRESH_EVERY', default: 10, remote: true
+  },
+  'display.fullRefreshMaxAge': {
+    type: 'number', min: 0, max: 7 * 24 * 60, env: 'DISPLAY_FULL_REFRESH_MAX_AGE', default: 0, remote: true
+  },
+  'display.fullRefreshTime': { type: 'time', env: 'DISPLAY_FULL_REFRESH_TIME', default: '', remote: true },
+
+  // Image payloads
+  'image.savePath': { type: 'string', env: 'IMAGE_SAVE_PATH', default: './images' },
+  'image.cachePath': { type: 'string', env: 'IMAGE_CACHE_PATH', default: get => `${get('image.savePath')}/cache` },
+  'image.cacheMaxBytes': { type: 'integer', min: 0, env: 'IMAGE_CACHE_MAX_BYTES', default: 50 * 1024 * 1024 },
+  'image.localRoot': { type: 'string', env: 'IMAGE_LOCAL_ROOT', default: get => get('image.savePath') },
+  'image.fetchTimeout': { type: 'integer', min: 1, env: 'IMAGE_FETCH_TIMEOUT', default: 15000 },
+  'image.maxBytes': { type: 'integer', min: 1, env: 'IMAGE_MAX_BYTES', default: 20 * 1024 * 1024 },
+  'image.chunkTimeout': { type: 'integer', min: 1, env: 'IMAGE_CHUNK_TIMEOUT', default: 30000 },
+
+  // Remote commands; power commands (reboot, shutdown) must be enabled explicitly
+  'commands.allowed': {
+    type: 'list', env: 'DEVICE_COMMANDS_ALLOWED', default: ['ping', 'get-config', 'confirm-config', 'clear', 'refresh', 'redisplay-last']
+  },
+
+  // Payload signatures. Fails closed: an unknown mode must not silently disable verification
+  'security.signatureMode': {
+    type: 'enum', values: ['none', 'hmac', 'ed25519'], transform: 'lower',
+    env: 'SIGNATURE_MODE', default: 'none', invalid: 'invalid'
+  },
+  'security.hmacSecret': { type: 'string', env: 'SIGNATURE_HMAC_SECRET', default: '', secret: true },
+  'security.publicKeyPath': { type: 'string', env: 'SIGNATURE_PUBLIC_KEY', default: '' },
+  // Seconds a signed config or command message stays valid (in either direction, for clock skew)
+  'security.maxAge': { type: 'integer', min: 1, env: 'SIGNATURE_MAX_AGE', default: 300 },
+
+  // Home Assistant MQTT discovery
+  'homeAssistant.enabled': { type: 'boolean', env: 'HA_DISCOVERY', default: false },
+  'homeAssistant.prefix': { type: 'string', env: 'HA_DISCOVERY_PREFIX', default: 'homeassistant' },
+  'homeAssistant.deviceName': { type: 'string', env: 'HA_DEVICE_NAME', default: get => `E-ink Frame ${get('device.id')}` },
+  'homeAssistant.previewSize': { type: 'integer', min: 1, env: 'HA_IMAGE_PREVIEW_SIZE', default: 800 },
+
+  // Groups and broadcasts; imageHold is the number of minutes during which a
+  // device image can't be replaced by a group or broadcast image
+  'fleet.groups': { type: 'groups', env: 'DEVICE_GROUPS', default: [], remote: true, aliases: ['groups'] },
+  'fleet.broadcast': { type: 'boolean', env: 'DEVICE_BROADCAST', default: false },
+  'fleet.imageHold': { type: 'number', min: 0, env: 'DEVICE_IMAGE_HOLD', default: 60 },
+
+  // Only enabled through a config message
+  'autoShutdown.enabled': { type: 'boolean', default: false, remote: true, aliases: ['enableAutoShutdown', 'autoShutdown'] },
+
+  // Quiet hours: images are queued while a window is active; the sleep
+  // screen (blank panel or sleepImage) is shown when a window starts
+  'schedule.quietHours': { type: 'windows', env: 'QUIET_HOURS', default: [], remote: true, aliases: ['quietHours'] },
+  'schedule.timezone': { type: 'timezone', env: 'SCHEDULE_TIMEZONE', default: '', remote: true, aliases: ['timezone'] },
+  'schedule.sleepScreen': {
+    type: 'enum', values: ['none', 'clear', 'image'], transform: 'lower',
+    env: 'SCHEDULE_SLEEP_SCREEN', default: 'none', remote: true, aliases: ['sleepScreen']
+  },
+  'schedule.sleepImage': { type: 'string', env: 'SCHEDULE_SLEEP_IMAGE', default: '' },
+
+  // Remote config versions: a changed config must be confirmed with the
+  // confirm-config command within confirmTimeout seconds (0 = no confirmation
+  // needed), or it is rolled back; a failed render also rolls it back
+  'rollback.historySize': { type: 'integer', min: 2, max: 100, env: 'CONFIG_HISTORY_SIZE', default: 10 },
+  'rollback.confirmTimeout': { type: 'number', min: 0, env: 'CONFIG_CONFIRM_TIMEOUT', default: 0 },
+
+  // GPIO shutdown switch
+  'gpio.enabled': { type: 'boolean', env: 'GPIO_SHUTDOWN_SWITCH', default: false },
+  'gpio.shutdownPin': { type: 'integer', min: 0, env: 'GPIO_SHUTDOWN_PIN', default: 27 }
+};
+
+class ConfigSchema {
+  /**
+   * Declared settings
+   * @returns {Object} Schema entries by config path
+   */
+  static get SCHEMA() {
+    return SCHEMA;
+  }
+
+  /**
+   * Default broker port of each transport
+   * @returns {Object} Ports by transport (mqtt, mqtts, ws, wss)
+   */
+  static get DEFAULT_PORTS() {
+    return DEFAULT_PORTS;
+  }
+
+  /**
+   * Validate a config message; only settings marked `remote` are accepted
+   * @param {Object} payload - Parsed config message
+   * @returns {{updates: Object, applied: string[], ignored: string[], rejected: Array<{key: string, reason: string}>}}
+   *   Nested updates for ConfigManager.updateConfig, the config paths that pass, the keys that are not
+   *   remotely settable (or were superseded by another spelling) and the keys with invalid values
+   */
+  static validate(payload) {
+    const result = { updates: {}, applied: [], ignored: [], rejected: [] };
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      result.rejected.push({ key: '', reason: 'Config message must be a JSON object' });
+      return result;
+    }
+
+    const fields = ConfigSchema.flatten(payload);
+    const used = new Set();
+
+    for (const [path, entry] of Object.entries(SCHEMA)) {
+      if (!entry.remote) continue;
+
+      // The canonical path wins over aliases, then aliases in declaration order
+      const key = [path, ...(entry.aliases || [])].find(candidate => fields.has(candidate));
+      if (key === undefined) continue;
+
+      for (const candidate of [path, ...(entry.aliases || [])]) {
+        if (fields.has(candidate)) used.add(candidate);
+        if (fields.has(candidate) && candidate !== key) result.ignored.push(candidate);
+      }
+
+      try {
+        const value = ConfigSchema.coerce(entry, fields.get(key));
+        ConfigSchema.setPath(result.updates, path, value);
+        result.applied.push(path);
+      } catch (error) {
+        result.rejected.push({ key, reason: error.message });
+      }
+    }
+
+    for (const key of fields.keys()) {
+      if (!used.has(key)) result.ignored.push(key);
+    }
+
+    return result;
+  }
+
+  /**
+   * Flatten a nested message to config paths, e.g. {display: {gamma: 1}} to 'display.gamma'.
+   * Arrays are kept as values.
+   * @param {Object} object - Parsed message
+   * @param {string} [prefix] - Path of the object
+   * @param {Map} [fields] - Accumulated fields
+   * @returns {Map<string, *>} Values by path
+   */
+  static flatten(object, prefix = '', fields = new Map()) {
+    for (const [key, value] of Object.entries(object)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        ConfigSchema.flatten(value, path, fields);
+      } else {
+        fields.set(path, value);
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Check and normalize a value against a schema entry
+   * @param {Object} entry - Schema entry
+   * @param {*} value - Received value
+   * @returns {*} Normalized value
+   * @throws {Error} If the value is invalid
+   */
+  static coerce(entry, value) {
+    switch (entry.type) {
+      case 'string':
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          throw new Error('must be a string');
+        }
+        return String(value).trim();
+
+      case 'list':
+        if (!Array.isArray(value) && typeof value !== 'string') {
+          throw new Error('must be a list');
+        }
+        return (Array.isArray(value) ? value : value.split(',')).map(item => String(item).trim()).filter(Boolean);
+
+      case 'number':
+      case 'integer': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !isFinite(number)) {
+          throw new Error('must be a number');
+        }
+        if (entry.type === 'integer' && !Number.isInteger(number)) {
+          throw new Error('must be an integer');
+        }
+        if ((entry.min !== undefined && number < entry.min) || (entry.max !== undefined && number > entry.max)) {
+          const range = entry.max === undefined ? `at least ${entry.min}`
+            : entry.min === undefined ? `at most ${entry.max}` : `between ${entry.min} and ${entry.max}`;
+          throw new Error(`must be ${range}`);
+        }
+        return number;
+      }
+
+      case 'boolean':
+        if (value === true || value === 'true') return true;
+        if (value === false || value === 'false') return false;
+        throw new Error('must be true or false');
+
+      case 'enum': {
+        let candidate = value;
+        if (typeof entry.values[0] === 'number') {
+          // Remote config may send numbers as strings, e.g. "90"
+          candidate = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        } else if (typeof value === 'string') {
+          candidate = entry.transform === 'upper' ? value.trim().toUpperCase() : value.trim().toLowerCase();
+        }
+        if (!entry.values.includes(candidate)) {
+          throw new Error(`must be one of ${entry.values.join(', ')}`);
+        }
+        return candidate;
+      }
+
+      case 'color':
+        if (!BaseDisplayAdapter.isColor(value)) {
+          throw new Error('must be a hex color like #ffffff');
+        }
+        return value.trim().toLowerCase();
+
+      case 'time':
+        if (value === '' || value === null) return '';
+        if (!RefreshPolicy.parseTime(value)) {
+          throw new Error('must be a time in HH:MM format or empty');
+        }
+        return value.trim();
+
+      case 'palette':
+        if (value === '' || value === null) return '';
+        if (typeof value !== 'string' || !PaletteQuantizer.resolve(value)) {
+          throw new Error(`must be ${PaletteQuantizer.PALETTE_NAMES.join(', ')} or a custom palette`);
+        }
+        return value.trim();
+
+      case 'groups': {
+        if (!Array.isArray(value) && typeof value !== 'string') {
+          throw new Error('must be a list of group names');
+        }
+        const { valid, invalid } = ConfigSchema.parseGroups(value);
+        if (invalid.length > 0) {
+          throw new Error(`invalid group names: ${invalid.join(', ')}`);
+        }
+        return valid;
+      }
+
+      case 'windows': {
+        if (value === '' || value === null) return [];
+        const items = typeof value === 'string' ? value.split(';').filter(item => item.trim()) : value;
+        if (!Array.isArray(items)) {
+          throw new Error('must be a list of quiet windows');
+        }
+        return items.map(item => {
+          const window = QuietHours.parseWindow(item);
+          if (!window) {
+            throw new Error(`invalid quiet window ${JSON.stringify(item)}, expected e.g. "22:00-07:00" or "sat,sun 23:00-09:00"`);
+          }
+          return window;
+        });
+      }
+
+      case 'timezone':
+        if (value === '' || value === null) return '';
+        if (typeof value !== 'string' || !QuietHours.isValidTimeZone(value.trim())) {
+          throw new Error('must be an IANA timezone like Europe/Berlin or empty');
+        }
+        return value.trim();
+
+      default:
+        throw new Error(`unsupported schema type ${entry.type}`);
+    }
+  }
+
+  /**
+   * Validate group names (letters, digits, '-' and '_', up to 64 characters)
+   * @param {string|string[]} value - Comma-separated string or array of group names
+   * @returns {{valid: string[], invalid: string[]}} Unique valid names and rejected entries
+   */
+  static parseGroups(value) {
+    const names = Array.isArray(value) ? value : String(value).split(',');
+    const valid = [];
+    const invalid = [];
+
+    for (const name of names.map(n => String(n).trim()).filter(Boolean)) {
+      if (!/^[A-Za-z0-9_-]{1,64}$/.test(name)) {
+        invalid.push(name);
+      } else if (!valid.includes(name)) {
+        valid.push(name);
+      }
+    }
+
+    return { valid, invalid };
+  }
+
+  /**
+   * Set a value at a dotted path, creating objects on the way
+   * @param {Object} target - Object to update
+   * @param {string} path - Dotted path
+   * @param {*} value - Value to set
+   */
+  static setPath(target, path, value) {
+    const keys = path.split('.');
+    let node = target;
+    for (const key of keys.slice(0, -1)) {
+      node[key] = node[key] || {};
+      node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+  }
+}
+
+module.exports = ConfigSchema;
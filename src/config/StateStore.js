@@ -0,0 +1,93 @@
+/**
+ * StateStore - Persists runtime settings of the device in a JSON file
+ * Settings changed remotely (display, auto-shutdown, groups) are kept here
+ * so they survive a restart; secrets and install-time settings stay in .env.
+ * Writes go to a temporary file that is synced and renamed over the state
+ * file, so a power cut leaves either the old or the new state, never half.
+ */
+const fs = require('fs');
+const path = require('path');
+
+class StateStore {
+  /**
+   * @param {string} filePath - Location of the state file
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.data = null;
+  }
+
+  /**
+   * Read the state file (once; later calls return the cached state)
+   * @returns {Object} - Stored state, empty if the file is missing or unreadable
+   */
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    this.data = {};
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+          this.data = parsed;
+        } else {
+          console.error(`Ignoring state file ${this.filePath}: not a JSON object`);
+        }
+      }
+    } catch (error) {
+      console.error(`Error reading state file ${this.filePath}:`, error.message);
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Atomically replace the state file
+   * @param {Object} state - Complete state
+   * @returns {boolean} - Success status
+   */
+  save(state) {
+    const dir = path.dirname(this.filePath);
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+
+      const fd = fs.openSync(tempPath, 'w', 0o600);
+      try {
+        fs.writeSync(fd, JSON.stringify(state, null, 2) + '\n');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, this.filePath);
+
+      // Sync the directory so the rename itself survives a power cut
+      try {
+        const dirFd = fs.openSync(dir, 'r');
+        try {
+          fs.fsyncSync(dirFd);
+        } finally {
+          fs.closeSync(dirFd);
+        }
+      } catch (e) {
+        // Not supported on every platform; the file contents are already synced
+      }
+
+      this.data = state;
+      return true;
+    } catch (error) {
+      console.error(`Error writing state file ${this.filePath}:`, error.message);
+      try {
+        fs.unlinkSync(tempPath);
+      } catch (e) {
+        // Temporary file was never created
+      }
+      return false;
+    }
+  }
+}
+
+module.exports = StateStore;
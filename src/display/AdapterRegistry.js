@@ -0,0 +1,104 @@
+/**
+ * AdapterRegistry - Named registry of display adapters
+ * Adapters are registered as factories so their modules (and native
+ * dependencies) are only loaded when actually selected
+ */
+const path = require('path');
+
+class AdapterRegistry {
+  constructor() {
+    this.factories = new Map();
+    this.pluginsLoaded = new Set();
+
+    // Built-in adapters
+    this.register('it8951', () => {
+      const IT8951DisplayAdapter = require('./adapters/IT8951DisplayAdapter');
+      return new IT8951DisplayAdapter();
+    });
+    this.register('file', () => {
+      const MacDisplayAdapter = require('./adapters/MacDisplayAdapter');
+      return new MacDisplayAdapter();
+    });
+    this.register('color', () => {
+      const ColorEPaperDisplayAdapter = require('./adapters/ColorEPaperDisplayAdapter');
+      return new ColorEPaperDisplayAdapter();
+    });
+    this.register('simulator', () => {
+      const SimulatorDisplayAdapter = require('./adapters/SimulatorDisplayAdapter');
+      return new SimulatorDisplayAdapter();
+    });
+  }
+
+  /**
+   * Register an adapter factory under a name
+   * @param {string} name - Adapter name used in DISPLAY_ADAPTER
+   * @param {Function} factory - Function returning a new adapter instance
+   */
+  register(name, factory) {
+    if (typeof factory !== 'function') {
+      throw new Error(`Display adapter "${name}" must be registered with a factory function`);
+    }
+    if (this.factories.has(name)) {
+      console.warn(`Replacing display adapter: ${name}`);
+    }
+    this.factories.set(name, factory);
+  }
+
+  /**
+   * Check if an adapter is registered
+   * @param {string} name - Adapter name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.factories.has(name);
+  }
+
+  /**
+   * Names of all registered adapters
+   * @returns {string[]} Adapter names
+   */
+  names() {
+    return Array.from(this.factories.keys());
+  }
+
+  /**
+   * Load third-party adapter plugins. Each plugin is a module (package name
+   * or path relative to the working directory) exporting a
+   * `register(registry)` function.
+   * @param {string[]} plugins - Plugin module names or paths
+   */
+  loadPlugins(plugins) {
+    for (const plugin of plugins) {
+      if (this.pluginsLoaded.has(plugin)) continue;
+
+      try {
+        const modulePath = plugin.startsWith('.') ? path.resolve(process.cwd(), plugin) : plugin;
+        const pluginModule = require(modulePath);
+        if (typeof pluginModule.register !== 'function') {
+          throw new Error('plugin does not export a register(registry) function');
+        }
+        pluginModule.register(this);
+        this.pluginsLoaded.add(plugin);
+        console.log(`Loaded display adapter plugin: ${plugin}`);
+      } catch (error) {
+        console.error(`Error loading display adapter plugin ${plugin}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Create an adapter instance by name
+   * @param {string} name - Adapter name
+   * @returns {BaseDisplayAdapter} New adapter instance
+   */
+  create(name) {
+    const factory = this.factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown display adapter "${name}" (available: ${this.names().join(', ')})`);
+    }
+    return factory();
+  }
+}
+
+// Export a singleton instance
+module.exports = new AdapterRegistry();
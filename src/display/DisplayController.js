@@ -1,75 +1,179 @@
 /**
- * DisplayController - Factory for display adapters based on the current platform
+ * DisplayController - Creates the configured display adapter and drives it
  */
-const fs = require('fs');
-const path = require('path');
-
-// Fast adapter selection - done at module load time
-// Read IS_RASPBERRY_PI directly from .env without dependencies
-const envPath = path.join(process.cwd(), '.env');
-let isRaspberryPi = true; // Default to Raspberry Pi
-try {
-  if (fs.existsSync(envPath)) {
-    const envContent = fs.readFileSync(envPath, 'utf8');
-    const match = envContent.match(/IS_RASPBERRY_PI\s*=\s*(true|false)/i);
-    if (match) {
-      isRaspberryPi = match[1].toLowerCase() === 'true';
-    }
-  }
-} catch (e) {
-  // Silently default to Raspberry Pi on error
-}
+const config = require('../config/ConfigManager');
+const adapterRegistry = require('./AdapterRegistry');
+const RefreshPolicy = require('./RefreshPolicy');
+const QuietHours = require('./QuietHours');
 
-// Lazy-load the appropriate adapter to improve startup time
-const getAdapter = () => {
-  if (isRaspberryPi) {
-    const IT8951DisplayAdapter = require('./adapters/IT8951DisplayAdapter');
-    return new IT8951DisplayAdapter();
-  } else {
-    const MacDisplayAdapter = require('./adapters/MacDisplayAdapter');
-    return new MacDisplayAdapter();
-  }
-};
+// Longest wait before the scheduled refresh is re-planned, so DST and clock changes are picked up
+const MAX_SCHEDULE_WAIT_MS = 60 * 60 * 1000;
 
 class DisplayController {
   constructor() {
     this.isInitialized = false;
     this.adapter = null; // Will be initialized on demand
+    this.adapterName = null;
+    this.refreshPolicy = new RefreshPolicy();
+    this.lastImage = null; // Last displayed image, redrawn on scheduled full refreshes
+    this.scheduledRefreshTimer = null;
+
+    // Reschedule the daily full refresh when its time or timezone is changed remotely
+    config.on('change', ({ key }) => {
+      if (this.isInitialized && (key === 'display.fullRefreshTime' || key === 'schedule.timezone')) {
+        this.scheduleFullRefresh();
+      }
+    });
   }
 
   /**
    * Initialize the display adapter with optimized loading
    */
   async init() {
-    console.log(`Initializing display adapter for ${isRaspberryPi ? 'Raspberry Pi' : 'Mac'}`);
+    const adapterName = config.display.adapter;
+    console.log(`Initializing display adapter: ${adapterName}`);
 
     // Load adapter just in time
     if (!this.adapter) {
-      this.adapter = getAdapter();
+      adapterRegistry.loadPlugins(config.display.adapterPlugins);
+      this.adapter = adapterRegistry.create(adapterName);
+      this.adapterName = adapterName;
     }
 
     // Initialize the adapter
     await this.adapter.init();
     this.isInitialized = true;
+    this.scheduleFullRefresh();
     console.log('Display initialized and ready for immediate rendering');
   }
 
+  /**
+   * Describe what the active display adapter supports
+   * @returns {Object} Capabilities (adapter, width, height, bpp, partialRefresh, color, waveforms)
+   */
+  getCapabilities() {
+    if (!this.adapter) {
+      return null;
+    }
+    return {
+      adapter: this.adapterName,
+      ...this.adapter.getCapabilities()
+    };
+  }
+
   /**
    * Display an image using the selected adapter
    * @param {Buffer} imageData - Raw image data to display
+   * @param {Object} [options] - Per-image display options
+   * @param {string} [options.waveform] - Waveform mode (GC16, GL16, DU, A2, INIT)
+   * @param {boolean} [options.fullRefresh] - Redraw the whole panel
+   * @returns {Promise<{width: number, height: number, fullRefresh?: boolean, waveform?: string}>} - Dimensions
+   *   of the displayed image; fullRefresh and waveform are set when the refresh policy replaced the requested
+   *   waveform with a full GC16 refresh
+   */
+  async displayImage(imageData, options = {}) {
+    let result;
+
+    // Clear ghosting first if the refresh policy says it's time; the flashing
+    // full refresh waits until quiet hours are over
+    if (this.refreshPolicy.isFullRefreshDue() && !this.isQuietTime('full refresh')) {
+      if (options.waveform && options.waveform !== 'GC16') {
+        console.log(`Requested waveform ${options.waveform} replaced by GC16 for the full refresh`);
+      }
+      result = await this.drawFullRefresh(imageData, options);
+    } else {
+      result = await this.adapter.displayImage(imageData, options);
+      this.refreshPolicy.recordDraw();
+    }
+
+    // Only an image that rendered is redrawn by later full refreshes
+    this.lastImage = { data: imageData, options: options };
+    return result;
+  }
+
+  /**
+   * Clear the panel and redraw the last image with a full GC16 refresh
+   * @returns {Promise<{width: number, height: number, fullRefresh: boolean, waveform: string}|undefined>}
+   *   - Dimensions of the redrawn image, if any
+   */
+  async fullRefresh() {
+    if (this.lastImage) {
+      return this.drawFullRefresh(this.lastImage.data, this.lastImage.options);
+    }
+
+    console.log('Performing full refresh to remove ghosting');
+    this.adapter.clear();
+    this.refreshPolicy.recordFullRefresh();
+  }
+
+  /**
+   * Draw an image with a full GC16 refresh, overriding the requested waveform. The adapter
+   * clears the panel only once the image rendered, and the refresh counts only if the draw succeeded.
+   * @param {Buffer} imageData - Raw image data to display
+   * @param {Object} options - Per-image display options
+   * @returns {Promise<{width: number, height: number, fullRefresh: boolean, waveform: string}>} - Dimensions
+   *   of the displayed image and the waveform actually used
+   * @private
+   */
+  async drawFullRefresh(imageData, options) {
+    console.log('Performing full refresh to remove ghosting');
+    const result = await this.adapter.displayImage(imageData, {
+      ...options,
+      waveform: 'GC16',
+      fullRefresh: true
+    });
+    this.refreshPolicy.recordFullRefresh();
+    return { ...result, fullRefresh: true, waveform: 'GC16' };
+  }
+
+  /**
+   * (Re)schedule the daily full refresh from the current configuration
    */
-  async displayImage(imageData) {
-    await this.adapter.displayImage(imageData);
+  scheduleFullRefresh() {
+    if (this.scheduledRefreshTimer) {
+      clearTimeout(this.scheduledRefreshTimer);
+      this.scheduledRefreshTimer = null;
+    }
+
+    const delay = this.refreshPolicy.msUntilScheduledRefresh();
+    if (delay === null) {
+      return;
+    }
+
+    console.log(`Next scheduled full refresh in ${Math.round(delay / 60000)} minutes`);
+    this.scheduledRefreshTimer = setTimeout(async () => {
+      this.scheduledRefreshTimer = null;
+      if (delay > MAX_SCHEDULE_WAIT_MS) {
+        this.scheduleFullRefresh();
+        return;
+      }
+      try {
+        // The full refresh flashes the panel, so it never runs during quiet hours
+        if (!this.isQuietTime('scheduled full refresh')) {
+          await this.fullRefresh();
+        }
+      } catch (error) {
+        console.error('Error during scheduled full refresh:', error);
+      }
+      this.scheduleFullRefresh();
+    }, Math.min(delay, MAX_SCHEDULE_WAIT_MS));
+
+    // Don't keep the process alive just for the refresh timer
+    this.scheduledRefreshTimer.unref();
   }
 
   /**
-   * Set display brightness
-   * @param {number} brightness - Brightness value
+   * Check for quiet hours before a flashing full refresh
+   * @param {string} action - Name of the skipped action, for the log
+   * @returns {boolean} True during quiet hours
+   * @private
    */
-  setBrightness(brightness) {
-    if (this.adapter.setBrightness) {
-      this.adapter.setBrightness(brightness);
+  isQuietTime(action) {
+    if (QuietHours.isQuiet(config.schedule.quietHours, config.schedule.timezone)) {
+      console.log(`Skipping ${action} during quiet hours`);
+      return true;
     }
+    return false;
   }
 
   /**
@@ -77,12 +181,17 @@ class DisplayController {
    */
   clear() {
     this.adapter.clear();
+    this.refreshPolicy.recordFullRefresh();
   }
 
   /**
    * Close the display adapter
    */
   close() {
+    if (this.scheduledRefreshTimer) {
+      clearTimeout(this.scheduledRefreshTimer);
+      this.scheduledRefreshTimer = null;
+    }
     this.adapter.close();
   }
 }
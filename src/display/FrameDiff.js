@@ -0,0 +1,107 @@
+/**
+ * FrameDiff - Computes changed regions between two packed framebuffers
+ * Used for partial refresh so only modified parts of the panel are redrawn
+ */
+
+class FrameDiff {
+  /**
+   * Number of bytes in one packed row
+   * @param {number} width - Frame width in pixels
+   * @param {number} bpp - Bits per pixel
+   * @returns {number} - Bytes per row
+   */
+  static rowBytes(width, bpp) {
+    return Math.ceil((width * bpp) / 8);
+  }
+
+  /**
+   * Compute bounding rectangles of the changed areas between two frames.
+   * Changed rows are grouped into horizontal bands (rows separated by fewer
+   * than mergeGap unchanged rows share a band), and each band gets the
+   * horizontal extent of its changed bytes, aligned to the panel's
+   * 4-byte boundaries.
+   * @param {Buffer} previous - Previously drawn packed frame
+   * @param {Buffer} next - New packed frame
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   * @param {number} bpp - Bits per pixel
+   * @param {number} [mergeGap=16] - Max unchanged rows between two changed rows of one band
+   * @returns {Array<{x: number, y: number, width: number, height: number}>} - Changed regions
+   */
+  static changedRegions(previous, next, width, height, bpp, mergeGap = 16) {
+    const stride = FrameDiff.rowBytes(width, bpp);
+    const pixelsPerByte = 8 / bpp;
+    const alignPixels = 32 / bpp;
+    const regions = [];
+    let band = null;
+
+    for (let y = 0; y < height; y++) {
+      const rowStart = y * stride;
+      let first = -1;
+      let last = -1;
+      for (let i = 0; i < stride; i++) {
+        if (previous[rowStart + i] !== next[rowStart + i]) {
+          if (first === -1) first = i;
+          last = i;
+        }
+      }
+
+      if (first === -1) {
+        continue;
+      }
+
+      if (band && y - band.lastRow <= mergeGap) {
+        band.lastRow = y;
+        band.first = Math.min(band.first, first);
+        band.last = Math.max(band.last, last);
+      } else {
+        if (band) regions.push(band);
+        band = { firstRow: y, lastRow: y, first, last };
+      }
+    }
+    if (band) regions.push(band);
+
+    return regions.map(b => {
+      const startX = Math.floor((b.first * pixelsPerByte) / alignPixels) * alignPixels;
+      const endX = Math.min(width, Math.ceil(((b.last + 1) * pixelsPerByte) / alignPixels) * alignPixels);
+      return {
+        x: startX,
+        y: b.firstRow,
+        width: endX - startX,
+        height: b.lastRow - b.firstRow + 1
+      };
+    });
+  }
+
+  /**
+   * Copy a rectangular region out of a packed frame
+   * @param {Buffer} frame - Packed frame
+   * @param {number} width - Frame width in pixels
+   * @param {number} bpp - Bits per pixel
+   * @param {{x: number, y: number, width: number, height: number}} region - Region to copy (x byte-aligned)
+   * @returns {Buffer} - Packed region buffer
+   */
+  static extractRegion(frame, width, bpp, region) {
+    const stride = FrameDiff.rowBytes(width, bpp);
+    const regionStride = FrameDiff.rowBytes(region.width, bpp);
+    const offsetBytes = (region.x * bpp) / 8;
+    const output = Buffer.alloc(regionStride * region.height);
+
+    for (let row = 0; row < region.height; row++) {
+      const sourceStart = (region.y + row) * stride + offsetBytes;
+      frame.copy(output, row * regionStride, sourceStart, sourceStart + regionStride);
+    }
+    return output;
+  }
+
+  /**
+   * Total pixel area covered by a list of regions
+   * @param {Array<{width: number, height: number}>} regions - Regions
+   * @returns {number} - Area in pixels
+   */
+  static area(regions) {
+    return regions.reduce((sum, r) => sum + r.width * r.height, 0);
+  }
+}
+
+module.exports = FrameDiff;
@@ -0,0 +1,217 @@
+/**
+ * PaletteQuantizer - Reduces RGB images to the fixed palette of a color e-paper panel
+ * Each palette entry carries the panel's native color code, which is what
+ * ends up in the packed framebuffer
+ */
+
+// Built-in palettes; colors approximate what the pigments look like on the panel
+const PALETTES = {
+  // Spectra 6 class panels (e.g. 7.3" E6)
+  spectra6: [
+    { name: 'black', rgb: [0, 0, 0], code: 0x0 },
+    { name: 'white', rgb: [255, 255, 255], code: 0x1 },
+    { name: 'yellow', rgb: [255, 230, 0], code: 0x2 },
+    { name: 'red', rgb: [200, 20, 20], code: 0x3 },
+    { name: 'blue', rgb: [20, 60, 200], code: 0x5 },
+    { name: 'green', rgb: [30, 130, 50], code: 0x6 }
+  ],
+  // ACeP 7-color panels (e.g. 5.65" / 7.3" F)
+  acep7: [
+    { name: 'black', rgb: [0, 0, 0], code: 0x0 },
+    { name: 'white', rgb: [255, 255, 255], code: 0x1 },
+    { name: 'green', rgb: [0, 128, 0], code: 0x2 },
+    { name: 'blue', rgb: [0, 0, 255], code: 0x3 },
+    { name: 'red', rgb: [255, 0, 0], code: 0x4 },
+    { name: 'yellow', rgb: [255, 255, 0], code: 0x5 },
+    { name: 'orange', rgb: [255, 128, 0], code: 0x6 }
+  ]
+};
+
+// Error-diffusion kernels as [dx, dy, weight]
+const KERNELS = {
+  'floyd-steinberg': [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+  atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]]
+};
+
+// 4x4 Bayer threshold matrix used for ordered dithering
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+// Strength of the ordered dithering offset, in 8-bit units per channel
+const BAYER_SPREAD = 64;
+
+class PaletteQuantizer {
+  /**
+   * Names of the built-in palettes
+   * @returns {string[]} Palette names
+   */
+  static get PALETTE_NAMES() {
+    return Object.keys(PALETTES);
+  }
+
+  /**
+   * Resolve a palette from a built-in name or a custom definition.
+   * Custom palettes are a comma-separated list of hex colors, optionally
+   * followed by the native code ("#000000:0,#ffffff:1,#ff0000:4"); without a
+   * code the position in the list is used. Codes must be unique, since the
+   * packed framebuffer only holds the code.
+   * @param {string} definition - Palette name or custom definition
+   * @returns {Array<{name: string, rgb: number[], code: number}>|null} - Palette or null if invalid
+   */
+  static resolve(definition) {
+    if (typeof definition !== 'string' || !definition.trim()) {
+      return null;
+    }
+
+    const trimmed = definition.trim();
+    if (PALETTES[trimmed.toLowerCase()]) {
+      return PALETTES[trimmed.toLowerCase()];
+    }
+
+    const palette = [];
+    const entries = trimmed.split(',');
+    for (let i = 0; i < entries.length; i++) {
+      const match = entries[i].trim().match(/^#?([0-9a-f]{6})(?::(\d+))?$/i);
+      if (!match) {
+        return null;
+      }
+      const hex = parseInt(match[1], 16);
+      palette.push({
+        name: `#${match[1].toLowerCase()}`,
+        rgb: [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff],
+        code: match[2] !== undefined ? parseInt(match[2], 10) : i
+      });
+    }
+
+    const codes = new Set(palette.map(entry => entry.code));
+    if (palette.length < 2 || codes.size !== palette.length || palette.some(entry => entry.code > 0xf)) {
+      return null;
+    }
+    return palette;
+  }
+
+  /**
+   * Quantize raw RGB pixels to palette indices
+   * @param {Buffer} rgb - Raw RGB buffer (3 bytes per pixel)
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {Array<{rgb: number[]}>} palette - Target palette
+   * @param {string} method - Dithering method (floyd-steinberg, atkinson, bayer, none)
+   * @returns {Uint8Array} - Palette index per pixel
+   */
+  static quantize(rgb, width, height, palette, method = 'floyd-steinberg') {
+    const indices = new Uint8Array(width * height);
+
+    if (KERNELS[method]) {
+      const kernel = KERNELS[method];
+      const work = Float32Array.from(rgb);
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const pixel = y * width + x;
+          const offset = pixel * 3;
+          const index = PaletteQuantizer.nearest(palette, work[offset], work[offset + 1], work[offset + 2]);
+          indices[pixel] = index;
+
+          const color = palette[index].rgb;
+          const errors = [work[offset] - color[0], work[offset + 1] - color[1], work[offset + 2] - color[2]];
+
+          for (const [dx, dy, weight] of kernel) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx >= 0 && nx < width && ny < height) {
+              const target = (ny * width + nx) * 3;
+              work[target] += errors[0] * weight;
+              work[target + 1] += errors[1] * weight;
+              work[target + 2] += errors[2] * weight;
+            }
+          }
+        }
+      }
+      return indices;
+    }
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const pixel = y * width + x;
+        const offset = pixel * 3;
+        const bias = method === 'bayer'
+          ? ((BAYER_4X4[y & 3][x & 3] + 0.5) / 16 - 0.5) * BAYER_SPREAD
+          : 0;
+        indices[pixel] = PaletteQuantizer.nearest(
+          palette,
+          rgb[offset] + bias,
+          rgb[offset + 1] + bias,
+          rgb[offset + 2] + bias
+        );
+      }
+    }
+    return indices;
+  }
+
+  /**
+   * Find the palette entry closest to a color (weighted RGB distance)
+   * @param {Array<{rgb: number[]}>} palette - Palette
+   * @param {number} r - Red
+   * @param {number} g - Green
+   * @param {number} b - Blue
+   * @returns {number} - Palette index
+   */
+  static nearest(palette, r, g, b) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const [pr, pg, pb] = palette[i].rgb;
+      // Weights roughly follow perceived luminance of each channel
+      const distance = 0.3 * (r - pr) ** 2 + 0.59 * (g - pg) ** 2 + 0.11 * (b - pb) ** 2;
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = i;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Pack palette indices into the panel's native 4-bit color format
+   * (two pixels per byte, first pixel in the high nibble)
+   * @param {Uint8Array} indices - Palette index per pixel
+   * @param {Array<{code: number}>} palette - Palette with native codes
+   * @returns {Buffer} - Packed framebuffer
+   */
+  static pack(indices, palette) {
+    const output = Buffer.alloc(Math.ceil(indices.length / 2));
+    for (let i = 0; i < indices.length; i += 2) {
+      const high = palette[indices[i]].code;
+      const low = i + 1 < indices.length ? palette[indices[i + 1]].code : palette[indices[i]].code;
+      output[i >> 1] = (high << 4) | low;
+    }
+    return output;
+  }
+
+  /**
+   * Convert a packed color framebuffer back to RGB, for previews
+   * @param {Buffer} packed - Packed framebuffer
+   * @param {number} pixelCount - Number of pixels
+   * @param {Array<{rgb: number[], code: number}>} palette - Palette with native codes
+   * @returns {Buffer} - Raw RGB buffer
+   */
+  static unpack(packed, pixelCount, palette) {
+    const byCode = new Map(palette.map(entry => [entry.code, entry.rgb]));
+    const output = Buffer.alloc(pixelCount * 3);
+    for (let i = 0; i < pixelCount; i++) {
+      const code = (i & 1) ? packed[i >> 1] & 0x0f : packed[i >> 1] >> 4;
+      const color = byCode.get(code) || [255, 255, 255];
+      output[i * 3] = color[0];
+      output[i * 3 + 1] = color[1];
+      output[i * 3 + 2] = color[2];
+    }
+    return output;
+  }
+}
+
+module.exports = PaletteQuantizer;
@@ -0,0 +1,86 @@
+/**
+ * PixelPacker - Packs 8-bit grayscale pixels into 1, 2, 4 or 8 bits per pixel
+ * Pixels are packed most significant bits first, so the first pixel of each
+ * byte ends up in its high bits
+ */
+
+const SUPPORTED_BPP = [1, 2, 4, 8];
+
+class PixelPacker {
+  /**
+   * Supported bit depths
+   * @returns {number[]} Bits per pixel values
+   */
+  static get SUPPORTED_BPP() {
+    return SUPPORTED_BPP;
+  }
+
+  /**
+   * Check if a bit depth is supported
+   * @param {number} bpp - Bits per pixel
+   * @returns {boolean} True if supported
+   */
+  static isSupported(bpp) {
+    return SUPPORTED_BPP.includes(bpp);
+  }
+
+  /**
+   * Number of gray levels for a bit depth
+   * @param {number} bpp - Bits per pixel
+   * @returns {number} Gray levels (2, 4, 16 or 256)
+   */
+  static levels(bpp) {
+    return 1 << bpp;
+  }
+
+  /**
+   * Pack 8-bit grayscale pixels. Each value is mapped to the nearest level
+   * of the target depth, so dithered input (already on those levels) packs
+   * losslessly.
+   * @param {Buffer} input - 8-bit grayscale buffer
+   * @param {number} bpp - Target bits per pixel
+   * @returns {Buffer} - Packed buffer
+   */
+  static pack(input, bpp) {
+    if (bpp === 8) {
+      return Buffer.from(input);
+    }
+
+    const maxLevel = PixelPacker.levels(bpp) - 1;
+    const pixelsPerByte = 8 / bpp;
+    const output = Buffer.alloc(Math.ceil(input.length / pixelsPerByte));
+
+    for (let i = 0; i < input.length; i++) {
+      const level = Math.round((input[i] * maxLevel) / 255);
+      const shift = 8 - bpp * ((i % pixelsPerByte) + 1);
+      output[Math.floor(i / pixelsPerByte)] |= level << shift;
+    }
+    return output;
+  }
+
+  /**
+   * Unpack a packed buffer back to 8-bit grayscale levels
+   * @param {Buffer} input - Packed buffer
+   * @param {number} pixelCount - Number of pixels to unpack
+   * @param {number} bpp - Bits per pixel of the packed buffer
+   * @returns {Buffer} - 8-bit grayscale buffer
+   */
+  static unpack(input, pixelCount, bpp) {
+    if (bpp === 8) {
+      return Buffer.from(input.subarray(0, pixelCount));
+    }
+
+    const maxLevel = PixelPacker.levels(bpp) - 1;
+    const pixelsPerByte = 8 / bpp;
+    const output = Buffer.alloc(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+      const shift = 8 - bpp * ((i % pixelsPerByte) + 1);
+      const level = (input[Math.floor(i / pixelsPerByte)] >> shift) & maxLevel;
+      output[i] = Math.round((level * 255) / maxLevel);
+    }
+    return output;
+  }
+}
+
+module.exports = PixelPacker;
@@ -0,0 +1,241 @@
+/**
+ * QuietHours - Tracks the configured quiet windows in which the panel must not flash
+ * Windows are local times in schedule.timezone (the system timezone when
+ * empty), e.g. "22:00-07:00" or "sat,sun 23:00-09:00". A window that ends
+ * before it starts runs past midnight and belongs to the day it starts on.
+ *
+ * Events:
+ *   - 'start': a quiet window began
+ *   - 'end': the quiet hours ended
+ */
+const EventEmitter = require('events');
+const config = require('../config/ConfigManager');
+const RefreshPolicy = require('./RefreshPolicy');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Longest wait between checks, so DST and clock changes are picked up
+const MAX_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+class QuietHours extends EventEmitter {
+  constructor() {
+    super();
+    this.quiet = false;
+    this.timer = null;
+    this.started = false;
+
+    // Re-evaluate when the schedule is changed remotely
+    config.on('change', ({ key }) => {
+      if (this.started && key.startsWith('schedule.')) {
+        this.check();
+      }
+    });
+  }
+
+  /**
+   * Parse a quiet window
+   * @param {string|Object} value - "HH:MM-HH:MM" with optional leading days ("mon,tue 22:00-07:00"),
+   *   or {start, end, days}
+   * @returns {{start: string, end: string, days?: string[]}|null} Normalized window, or null if invalid
+   */
+  static parseWindow(value) {
+    let window = value;
+    if (typeof value === 'string') {
+      const match = value.trim().match(/^(?:([a-z,\s]+)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/i);
+      if (!match) {
+        return null;
+      }
+      window = { start: match[2], end: match[3], days: match[1] ? match[1].split(',') : undefined };
+    }
+    if (!window || typeof window !== 'object') {
+      return null;
+    }
+
+    const start = RefreshPolicy.parseTime(window.start);
+    const end = RefreshPolicy.parseTime(window.end);
+    if (!start || !end || (start.hours === end.hours && start.minutes === end.minutes)) {
+      return null;
+    }
+
+    const pad = n => String(n).padStart(2, '0');
+    const result = {
+      start: `${pad(start.hours)}:${pad(start.minutes)}`,
+      end: `${pad(end.hours)}:${pad(end.minutes)}`
+    };
+
+    if (window.days !== undefined && window.days !== null) {
+      if (!Array.isArray(window.days)) {
+        return null;
+      }
+      const days = window.days.map(day => String(day).trim().toLowerCase().slice(0, 3)).filter(Boolean);
+      if (days.length === 0 || days.some(day => !DAYS.includes(day))) {
+        return null;
+      }
+      result.days = DAYS.filter(day => days.includes(day));
+    }
+
+    return result;
+  }
+
+  /**
+   * Check that a timezone name is known
+   * @param {string} timeZone - IANA timezone, e.g. Europe/Berlin
+   * @returns {boolean} True if the timezone can be used
+   */
+  static isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Local weekday and time of a moment
+   * @param {Date} date - Moment
+   * @param {string} [timeZone] - IANA timezone; the system timezone when empty
+   * @returns {{day: number, minutes: number}} Weekday (0 = Sunday) and minutes since midnight
+   */
+  static localTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = type => parts.find(p => p.type === type).value;
+
+    return {
+      day: DAYS.indexOf(part('weekday').toLowerCase()),
+      minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+    };
+  }
+
+  /**
+   * Whether a moment falls in one of the windows
+   * @param {Array<{start: string, end: string, days?: string[]}>} windows - Normalized windows
+   * @param {string} [timeZone] - IANA timezone; the system timezone when empty
+   * @param {Date} [date] - Moment to check (default now)
+   * @returns {boolean} True during quiet hours
+   */
+  static isQuiet(windows, timeZone, date = new Date()) {
+    if (!windows || windows.length === 0) {
+      return false;
+    }
+
+    const { day, minutes } = QuietHours.localTime(date, timeZone);
+    const toMinutes = time => {
+      const { hours, minutes: mins } = RefreshPolicy.parseTime(time);
+      return hours * 60 + mins;
+    };
+    const onDay = (window, d) => !window.days || window.days.includes(DAYS[d]);
+
+    return windows.some(window => {
+      const start = toMinutes(window.start);
+      const end = toMinutes(window.end);
+      if (start < end) {
+        return onDay(window, day) && minutes >= start && minutes < end;
+      }
+      // Overnight: the evening part on the start day, the morning part on the next day
+      return (onDay(window, day) && minutes >= start) || (onDay(window, (day + 6) % 7) && minutes < end);
+    });
+  }
+
+  /**
+   * Milliseconds until a window may start or end (capped, so the state is re-checked regularly)
+   * @param {Array<{start: string, end: string}>} windows - Normalized windows
+   * @param {string} [timeZone] - IANA timezone; the system timezone when empty
+   * @param {Date} [date] - Moment to start from (default now)
+   * @returns {number|null} Delay, or null without windows
+   */
+  static msUntilBoundary(windows, timeZone, date = new Date()) {
+    if (!windows || windows.length === 0) {
+      return null;
+    }
+
+    const { minutes } = QuietHours.localTime(date, timeZone);
+    let wait = 24 * 60;
+    for (const window of windows) {
+      for (const time of [window.start, window.end]) {
+        const { hours, minutes: mins } = RefreshPolicy.parseTime(time);
+        wait = Math.min(wait, ((hours * 60 + mins - minutes) + 24 * 60) % (24 * 60) || 24 * 60);
+      }
+    }
+
+    // Boundaries are whole minutes; land just after the minute starts
+    const delay = wait * 60000 - (date.getSeconds() * 1000 + date.getMilliseconds()) + 1000;
+    return Math.min(delay, MAX_CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Start tracking; the initial state is set without emitting events
+   */
+  start() {
+    this.started = true;
+    const { quietHours, timezone } = config.schedule;
+    this.quiet = QuietHours.isQuiet(quietHours, timezone);
+    if (this.quiet) {
+      console.log('Quiet hours are active, images will be queued');
+    }
+    this.scheduleCheck();
+  }
+
+  /**
+   * Re-evaluate the state, emitting 'start' or 'end' when it changed
+   */
+  check() {
+    const { quietHours, timezone } = config.schedule;
+    const quiet = QuietHours.isQuiet(quietHours, timezone);
+
+    if (quiet !== this.quiet) {
+      this.quiet = quiet;
+      console.log(quiet ? 'Quiet hours started' : 'Quiet hours ended');
+      this.emit(quiet ? 'start' : 'end');
+    }
+    this.scheduleCheck();
+  }
+
+  /**
+   * Schedule the next check at the next window boundary
+   * @private
+   */
+  scheduleCheck() {
+    this.stopTimer();
+
+    const { quietHours, timezone } = config.schedule;
+    const delay = QuietHours.msUntilBoundary(quietHours, timezone);
+    if (delay === null) {
+      return;
+    }
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.check();
+    }, delay);
+    // Don't keep the process alive just for the schedule
+    this.timer.unref();
+  }
+
+  /**
+   * Stop tracking
+   */
+  stop() {
+    this.started = false;
+    this.stopTimer();
+  }
+
+  /**
+   * Stop the check timer
+   * @private
+   */
+  stopTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = QuietHours;
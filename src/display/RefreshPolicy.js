@@ -0,0 +1,125 @@
+/**
+ * RefreshPolicy - Decides when a full clear + GC16 refresh is needed to remove e-ink ghosting
+ * Tracks the number of draws and the time since the last full refresh
+ */
+const config = require('../config/ConfigManager');
+
+class RefreshPolicy {
+  constructor() {
+    this.drawsSinceFullRefresh = 0;
+    this.lastFullRefresh = Date.now();
+  }
+
+  /**
+   * Current policy settings read from the display configuration
+   * @returns {{every: number, maxAgeMs: number, time: string|null}} - Sanitized settings
+   */
+  get settings() {
+    const every = parseInt(config.display.fullRefreshEvery, 10);
+    const maxAgeMinutes = parseFloat(config.display.fullRefreshMaxAge);
+    const time = RefreshPolicy.parseTime(config.display.fullRefreshTime) ? config.display.fullRefreshTime : null;
+
+    return {
+      every: every > 0 ? every : 0,
+      maxAgeMs: maxAgeMinutes > 0 ? maxAgeMinutes * 60000 : 0,
+      time: time
+    };
+  }
+
+  /**
+   * Check if the next draw should be a full refresh
+   * @param {number} [now] - Current timestamp in ms
+   * @returns {boolean} - True if a full refresh is due
+   */
+  isFullRefreshDue(now = Date.now()) {
+    const { every, maxAgeMs } = this.settings;
+
+    if (every > 0 && this.drawsSinceFullRefresh >= every) {
+      console.log(`Full refresh due after ${this.drawsSinceFullRefresh} draws`);
+      return true;
+    }
+
+    if (maxAgeMs > 0 && now - this.lastFullRefresh >= maxAgeMs) {
+      console.log(`Full refresh due after ${Math.round((now - this.lastFullRefresh) / 60000)} minutes`);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a regular (possibly partial) draw
+   */
+  recordDraw() {
+    this.drawsSinceFullRefresh++;
+  }
+
+  /**
+   * Record a full clear + refresh
+   * @param {number} [now] - Current timestamp in ms
+   */
+  recordFullRefresh(now = Date.now()) {
+    this.drawsSinceFullRefresh = 0;
+    this.lastFullRefresh = now;
+  }
+
+  /**
+   * Milliseconds until the next scheduled daily full refresh
+   * @param {Date} [now] - Current time
+   * @param {string} [timeZone] - IANA timezone of the refresh time; defaults to schedule.timezone,
+   *   like the quiet hours, and the system timezone when empty
+   * @returns {number|null} - Delay in ms, or null if no time of day is configured
+   */
+  msUntilScheduledRefresh(now = new Date(), timeZone = config.schedule.timezone) {
+    const parsed = RefreshPolicy.parseTime(this.settings.time);
+    if (!parsed) {
+      return null;
+    }
+
+    const target = parsed.hours * 60 + parsed.minutes;
+    const wait = ((target - RefreshPolicy.localMinutes(now, timeZone)) + 24 * 60) % (24 * 60) || 24 * 60;
+    return wait * 60000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+  }
+
+  /**
+   * Minutes since local midnight of a moment
+   * @param {Date} date - Moment
+   * @param {string} [timeZone] - IANA timezone; the system timezone when empty
+   * @returns {number} - Minutes since midnight
+   */
+  static localMinutes(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = type => parseInt(parts.find(p => p.type === type).value, 10);
+    return part('hour') * 60 + part('minute');
+  }
+
+  /**
+   * Parse a local time of day in HH:MM format
+   * @param {string} value - Time string, e.g. '03:30'
+   * @returns {{hours: number, minutes: number}|null} - Parsed time or null if invalid
+   */
+  static parseTime(value) {
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const match = value.trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) {
+      return null;
+    }
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) {
+      return null;
+    }
+    return { hours, minutes };
+  }
+}
+
+module.exports = RefreshPolicy;
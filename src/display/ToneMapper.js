@@ -0,0 +1,169 @@
+/**
+ * ToneMapper - Tone curve for e-ink output (levels, contrast, gamma, auto-levels, equalization)
+ * E-ink panels have a much narrower dynamic range than screens, so photos usually
+ * need their black/white points stretched and midtones lifted to stay readable.
+ */
+
+// Numeric tone settings and their allowed ranges
+const TONE_RANGES = {
+  gamma: [0.1, 5],
+  contrast: [0, 4],
+  blackPoint: [0, 254],
+  whitePoint: [1, 255]
+};
+
+// Boolean tone settings
+const TONE_FLAGS = ['autoLevels', 'equalize'];
+
+// Fraction of pixels clipped at each end when auto-levels is enabled
+const AUTO_LEVELS_CLIP = 0.005;
+
+class ToneMapper {
+  /**
+   * Names of all tone settings
+   * @returns {string[]} Setting keys
+   */
+  static get KEYS() {
+    return Object.keys(TONE_RANGES).concat(TONE_FLAGS);
+  }
+
+  /**
+   * Allowed ranges of the numeric tone settings
+   * @returns {Object<string, number[]>} Setting key to [min, max]
+   */
+  static get RANGES() {
+    return TONE_RANGES;
+  }
+
+  /**
+   * Names of the boolean tone settings
+   * @returns {string[]} Setting keys
+   */
+  static get FLAGS() {
+    return TONE_FLAGS;
+  }
+
+  /**
+   * Validate tone settings, dropping unknown or out-of-range values
+   * @param {Object} settings - Candidate settings (values may be strings)
+   * @returns {{valid: Object, invalid: string[]}} - Accepted settings and names of rejected ones
+   */
+  static sanitize(settings) {
+    const valid = {};
+    const invalid = [];
+
+    for (const [key, [min, max]] of Object.entries(TONE_RANGES)) {
+      if (settings[key] === undefined) continue;
+      const value = parseFloat(settings[key]);
+      if (!isNaN(value) && value >= min && value <= max) {
+        valid[key] = value;
+      } else {
+        invalid.push(key);
+      }
+    }
+
+    for (const key of TONE_FLAGS) {
+      if (settings[key] === undefined) continue;
+      if (typeof settings[key] === 'boolean' || settings[key] === 'true' || settings[key] === 'false') {
+        valid[key] = settings[key] === true || settings[key] === 'true';
+      } else {
+        invalid.push(key);
+      }
+    }
+
+    return { valid, invalid };
+  }
+
+  /**
+   * Check if settings leave the image untouched
+   * @param {Object} settings - Tone settings
+   * @returns {boolean} - True if no tone mapping is needed
+   */
+  static isIdentity(settings) {
+    return settings.gamma === 1 &&
+      settings.contrast === 1 &&
+      settings.blackPoint === 0 &&
+      settings.whitePoint === 255 &&
+      !settings.autoLevels &&
+      !settings.equalize;
+  }
+
+  /**
+   * Apply the tone curve to raw interleaved pixel data
+   * @param {Buffer} data - Raw pixel data
+   * @param {number} channels - Number of interleaved channels (1-4)
+   * @param {Object} settings - Tone settings (gamma, contrast, blackPoint, whitePoint, autoLevels, equalize)
+   * @returns {Buffer} - Tone-mapped pixel data
+   */
+  static apply(data, channels, settings) {
+    const histogram = ToneMapper.histogram(data, channels);
+    const lut = ToneMapper.buildLut(settings, histogram);
+
+    // Alpha (4th channel) is left untouched
+    const output = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) {
+      output[i] = (channels === 4 && i % 4 === 3) ? data[i] : lut[data[i]];
+    }
+    return output;
+  }
+
+  /**
+   * Luminance histogram of raw pixel data
+   * @param {Buffer} data - Raw pixel data
+   * @param {number} channels - Number of interleaved channels
+   * @returns {Uint32Array} - 256-bin histogram
+   */
+  static histogram(data, channels) {
+    const histogram = new Uint32Array(256);
+    for (let i = 0; i < data.length; i += channels) {
+      const luma = channels >= 3
+        ? Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])
+        : data[i];
+      histogram[luma]++;
+    }
+    return histogram;
+  }
+
+  /**
+   * Build a 256-entry lookup table for the tone curve.
+   * Order: equalization, levels (manual or auto), contrast, gamma.
+   * @param {Object} settings - Tone settings
+   * @param {Uint32Array} histogram - Luminance histogram, used for auto-levels/equalization
+   * @returns {Uint8Array} - Lookup table
+   */
+  static buildLut(settings, histogram) {
+    const total = histogram.reduce((sum, count) => sum + count, 0) || 1;
+
+    // Cumulative distribution, used for both equalization and percentiles
+    const cdf = new Float64Array(256);
+    let running = 0;
+    for (let i = 0; i < 256; i++) {
+      running += histogram[i];
+      cdf[i] = running / total;
+    }
+
+    let blackPoint = settings.blackPoint;
+    let whitePoint = settings.whitePoint;
+    if (settings.autoLevels && !settings.equalize) {
+      blackPoint = cdf.findIndex(value => value > AUTO_LEVELS_CLIP);
+      whitePoint = cdf.findIndex(value => value >= 1 - AUTO_LEVELS_CLIP);
+    }
+    if (!(whitePoint > blackPoint)) {
+      blackPoint = 0;
+      whitePoint = 255;
+    }
+
+    const lut = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+      let value = settings.equalize ? cdf[i] * 255 : i;
+      value = (value - blackPoint) / (whitePoint - blackPoint);
+      value = (value - 0.5) * settings.contrast + 0.5;
+      value = Math.min(1, Math.max(0, value));
+      value = Math.pow(value, 1 / settings.gamma);
+      lut[i] = Math.round(value * 255);
+    }
+    return lut;
+  }
+}
+
+module.exports = ToneMapper;
@@ -0,0 +1,32 @@
+/**
+ * IT8951 waveform (display update) modes
+ * Values match the mode numbers expected by the IT8951 controller
+ */
+const WAVEFORM_MODES = Object.freeze({
+  INIT: 0, // Full clear to white, used to remove ghosting
+  DU: 1,   // Fast monochrome update, no flashing
+  GC16: 2, // High quality 16-level update with flashing, best for photos
+  GL16: 3, // 16-level update with less flashing, good for text on white
+  A2: 6    // Fastest 1-bit update, for animations and quick dashboards
+});
+
+const DEFAULT_WAVEFORM = 'GC16';
+
+/**
+ * Normalize a waveform name (case-insensitive)
+ * @param {string} name - Waveform name, e.g. 'gc16'
+ * @returns {string|null} - Upper-case waveform name or null if unsupported
+ */
+function normalizeWaveform(name) {
+  if (typeof name !== 'string') {
+    return null;
+  }
+  const upper = name.trim().toUpperCase();
+  return Object.prototype.hasOwnProperty.call(WAVEFORM_MODES, upper) ? upper : null;
+}
+
+module.exports = {
+  WAVEFORM_MODES,
+  DEFAULT_WAVEFORM,
+  normalizeWaveform
+};
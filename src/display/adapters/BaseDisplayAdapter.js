@@ -3,9 +3,51 @@
  */
 const sharp = require('sharp');
 const config = require('../../config/ConfigManager');
-const EnvUpdater = require('../../util/EnvUpdater');
+const Dithering = require('../../util/Dithering');
+const ToneMapper = require('../ToneMapper');
+const PixelPacker = require('../PixelPacker');
+const PaletteQuantizer = require('../PaletteQuantizer');
+
+// Supported fit modes; 'attention' crops like 'cover' but keeps the most interesting region
+const FIT_MODES = ['contain', 'cover', 'fill', 'attention'];
+const ROTATIONS = [0, 90, 180, 270];
+
+// Neutral tone curve, used for any setting that is missing or invalid
+const TONE_DEFAULTS = {
+  gamma: 1.0,
+  contrast: 1.0,
+  blackPoint: 0,
+  whitePoint: 255,
+  autoLevels: false,
+  equalize: false
+};
 
 class BaseDisplayAdapter {
+  /**
+   * Supported fit modes
+   * @returns {string[]} Fit mode names
+   */
+  static get FIT_MODES() {
+    return FIT_MODES;
+  }
+
+  /**
+   * Supported mount rotations in degrees
+   * @returns {number[]} Rotations
+   */
+  static get ROTATIONS() {
+    return ROTATIONS;
+  }
+
+  /**
+   * Check a background color; also used by ConfigSchema for display.background
+   * @param {*} value - Candidate color
+   * @returns {boolean} True for '#rrggbb' or '#rgb'
+   */
+  static isColor(value) {
+    return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value.trim());
+  }
+
   /**
    * Initialize the display
    */
@@ -14,59 +56,293 @@ class BaseDisplayAdapter {
   }
 
   /**
-   * Process image data to apply brightness adjustment
-   * @param {Buffer} imageData - Raw image data to process
-   * @returns {Promise<Buffer>} - Processed image data
+   * Describe what this adapter supports. Subclasses override the fields that differ.
+   * @returns {{width: number|null, height: number|null, bpp: number, partialRefresh: boolean, color: boolean, waveforms: string[]}}
    */
-  async processImage(imageData) {
-    try {
-      const brightness = config.display.brightness;
+  getCapabilities() {
+    return {
+      width: config.display.width,
+      height: config.display.height,
+      bpp: this.getBpp(),
+      partialRefresh: false,
+      color: false,
+      waveforms: []
+    };
+  }
 
-      // If brightness is 1.0 (default), don't process the image
-      if (brightness === 1.0) {
-        console.log('Using default brightness (1.0) - no adjustment applied');
-        return imageData;
-      }
+  /**
+   * Apply the configured tone curve (levels, contrast, gamma) to raw pixels
+   * @param {Buffer} data - Raw pixel data
+   * @param {number} channels - Number of interleaved channels
+   * @returns {Buffer} - Tone-mapped pixel data
+   */
+  applyTone(data, channels) {
+    const settings = {};
+    for (const key of ToneMapper.KEYS) {
+      settings[key] = config.display[key];
+    }
+
+    const { valid, invalid } = ToneMapper.sanitize(settings);
+    if (invalid.length > 0) {
+      console.warn(`Ignoring invalid tone settings: ${invalid.join(', ')}`);
+    }
+    const tone = { ...TONE_DEFAULTS, ...valid };
 
-      console.log(`Adjusting image brightness by factor: ${brightness}`);
-
-      // Use a more enhanced approach for brightness adjustment
-      // For e-ink displays, we need to ensure the contrast is maintained
-      return await sharp(imageData)
-        .linear(brightness, -(brightness - 1) * 0.5) // Adjust both brightness and offset for better results
-        .modulate({ brightness: brightness }) // Apply standard brightness modulation
-        .toBuffer();
-    } catch (error) {
-      console.error('Error processing image brightness:', error);
-      // Return original image if processing fails
-      return imageData;
+    if (ToneMapper.isIdentity(tone)) {
+      return data;
     }
+
+    console.log(`Applying tone curve: ${JSON.stringify(tone)}`);
+    return ToneMapper.apply(data, channels, tone);
   }
 
   /**
-   * Set display brightness
-   * @param {number} brightness - Brightness value between 0.0 and 2.0
+   * Shared rendering pipeline: EXIF auto-orient, fit to the panel, tone curve
+   * and rotation for the way the frame is mounted. Adapters continue the
+   * returned sharp instance with their own output stage (grayscale raw, JPEG, ...).
+   * @param {Buffer} imageData - Encoded image data
+   * @param {number|null} width - Panel width in pixels (null keeps the image size)
+   * @param {number|null} height - Panel height in pixels (null keeps the image size)
+   * @param {Object} [options] - Per-image overrides for fit, rotation, background and caption
+   * @returns {Promise<sharp.Sharp>} - Sharp instance producing a panel-sized, rotated image
    */
-  setBrightness(brightness) {
-    if (typeof brightness === 'number' && brightness >= 0) {
-      console.log(`Setting display brightness to: ${brightness}`);
+  async renderImage(imageData, width, height, options = {}) {
+    const fit = this.resolveOption('fit', options.fit, FIT_MODES, 'contain');
+    const rotation = this.resolveOption('rotation', options.rotation, ROTATIONS, 0);
+    const background = this.resolveBackground(options.background);
+
+    let pipeline = sharp(imageData);
+    if (config.display.autoOrient) {
+      pipeline = pipeline.rotate();
+    }
+    pipeline = pipeline.flatten({ background });
 
-      // Update config in memory
-      config.display.brightness = brightness;
+    if (width && height) {
+      // Resize in the viewer's orientation; for 90/270 mounts that's the panel size swapped
+      const swap = rotation === 90 || rotation === 270;
+      pipeline = pipeline.resize(swap ? height : width, swap ? width : height, {
+        fit: fit === 'attention' ? 'cover' : fit,
+        position: fit === 'attention' ? sharp.strategy.attention : 'centre',
+        background
+      });
+    }
+
+    console.log(`Rendering image: fit=${fit}, rotation=${rotation}, background=${background}`);
 
-      // Persist to .env file
-      EnvUpdater.updateEnvFile('DISPLAY_BRIGHTNESS', brightness);
+    // sharp only applies one rotation per pipeline, so the tone curve and the
+    // mount rotation run as a second stage on the raw, already oriented pixels
+    let { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    data = this.applyTone(data, info.channels);
 
-      return true;
+    if (options.caption) {
+      ({ data, info } = await sharp(data, { raw: info })
+        .composite([{ input: this.captionOverlay(String(options.caption), info.width, info.height), gravity: 'south' }])
+        .raw()
+        .toBuffer({ resolveWithObject: true }));
+    }
+
+    const rotated = sharp(data, {
+      raw: { width: info.width, height: info.height, channels: info.channels }
+    });
+    return rotation ? rotated.rotate(rotation) : rotated;
+  }
+
+  /**
+   * Full raster pipeline shared by the e-ink and simulator adapters:
+   * render, convert to grayscale, dither to the levels of the configured
+   * bit depth and pack for the panel
+   * @param {Buffer} imageData - Encoded image data
+   * @param {number} width - Panel width in pixels
+   * @param {number} height - Panel height in pixels
+   * @param {Object} [options] - Per-image rendering options
+   * @returns {Promise<Buffer>} - Packed framebuffer
+   */
+  async rasterizeImage(imageData, width, height, options = {}) {
+    // Convert image to raw grayscale buffer with correct size and orientation for the display
+    const renderedImage = await this.renderImage(imageData, width, height, options);
+    const processedImage = await renderedImage
+      .grayscale()
+      .raw()
+      .toBuffer();
+
+    // Dither down to the gray levels the panel can show to avoid banding
+    const ditheredImage = this.ditherImage(processedImage, width, height);
+
+    // Pack 8-bit grayscale into the configured bit depth
+    return this.packFrame(ditheredImage);
+  }
+
+  /**
+   * Color raster pipeline for palette-based e-paper panels: render, quantize
+   * to the palette with dithering and pack into the native color nibbles
+   * @param {Buffer} imageData - Encoded image data
+   * @param {number} width - Panel width in pixels
+   * @param {number} height - Panel height in pixels
+   * @param {Array<{rgb: number[], code: number}>} palette - Panel palette
+   * @param {Object} [options] - Per-image rendering options
+   * @returns {Promise<Buffer>} - Packed framebuffer (4 bits per pixel)
+   */
+  async rasterizeColorImage(imageData, width, height, palette, options = {}) {
+    const renderedImage = await this.renderImage(imageData, width, height, options);
+    const rgb = await renderedImage
+      .removeAlpha()
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer();
+
+    let method = config.display.dithering;
+    if (!Dithering.isSupported(method)) {
+      console.warn(`Unknown dithering method "${method}", falling back to none`);
+      method = 'none';
+    }
+
+    console.log(`Quantizing to ${palette.length}-color palette with ${method} dithering`);
+    const indices = PaletteQuantizer.quantize(rgb, width, height, palette, method);
+    return PaletteQuantizer.pack(indices, palette);
+  }
+
+  /**
+   * Configured color palette for color panels
+   * @returns {Array<{name: string, rgb: number[], code: number}>|null} - Palette, or null for grayscale
+   */
+  getPalette() {
+    if (!config.display.palette) {
+      return null;
+    }
+
+    const palette = PaletteQuantizer.resolve(config.display.palette);
+    if (!palette) {
+      console.warn(`Invalid palette "${config.display.palette}", using grayscale`);
+    }
+    return palette;
+  }
+
+  /**
+   * Apply the configured dithering method to an 8-bit grayscale buffer
+   * @param {Buffer} input - 8-bit grayscale buffer
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @returns {Buffer} - Dithered 8-bit grayscale buffer
+   */
+  ditherImage(input, width, height) {
+    let method = config.display.dithering;
+    if (!Dithering.isSupported(method)) {
+      console.warn(`Unknown dithering method "${method}", falling back to none`);
+      method = 'none';
+    }
+
+    const levels = PixelPacker.levels(this.getBpp());
+    console.log(`Applying ${method} dithering (${levels} gray levels)`);
+    return Dithering.apply(input, width, height, method, levels);
+  }
+
+  /**
+   * Configured bits per pixel, falling back to 4bpp if the value is unsupported
+   * @returns {number} - Bits per pixel (1, 2, 4 or 8)
+   */
+  getBpp() {
+    const bpp = Number(config.display.bpp);
+    if (PixelPacker.isSupported(bpp)) {
+      return bpp;
+    }
+    console.warn(`Unsupported bpp "${config.display.bpp}", falling back to 4`);
+    return 4;
+  }
+
+  /**
+   * Packs 8-bit grayscale pixels into the configured bit depth for the panel
+   * @param {Buffer} input - 8-bit grayscale buffer
+   * @param {number} [bpp] - Bits per pixel (defaults to the configured depth)
+   * @returns {Buffer} - Packed buffer
+   */
+  packFrame(input, bpp = this.getBpp()) {
+    return PixelPacker.pack(input, bpp);
+  }
+
+  /**
+   * Unpacks a packed buffer back to 8-bit grayscale, i.e. the gray levels
+   * the panel actually shows
+   * @param {Buffer} input - Packed buffer
+   * @param {number} pixelCount - Number of pixels to unpack
+   * @param {number} [bpp] - Bits per pixel (defaults to the configured depth)
+   * @returns {Buffer} - 8-bit grayscale buffer
+   */
+  unpackFrame(input, pixelCount, bpp = this.getBpp()) {
+    return PixelPacker.unpack(input, pixelCount, bpp);
+  }
+
+  /**
+   * Build an SVG caption bar for the bottom of the image
+   * @param {string} caption - Caption text
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @returns {Buffer} - SVG image
+   */
+  captionOverlay(caption, width, height) {
+    const fontSize = Math.max(12, Math.round(height / 24));
+    const barHeight = Math.round(fontSize * 1.8);
+    const escaped = caption
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    return Buffer.from(
+      `<svg width="${width}" height="${barHeight}" xmlns="http://www.w3.org/2000/svg">` +
+      `<rect width="100%" height="100%" fill="#ffffff"/>` +
+      `<text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" ` +
+      `font-family="sans-serif" font-size="${fontSize}" fill="#000000">${escaped}</text>` +
+      `</svg>`
+    );
+  }
+
+  /**
+   * Resolve the background color from per-image options or display config
+   * @param {*} requested - Color requested for this image (from the MQTT message, so unchecked)
+   * @returns {string} - Valid hex color
+   * @private
+   */
+  resolveBackground(requested) {
+    for (const candidate of [requested, config.display.background]) {
+      if (candidate === undefined || candidate === null || candidate === '') continue;
+      if (BaseDisplayAdapter.isColor(candidate)) {
+        return candidate.trim().toLowerCase();
+      }
+      console.warn(`Ignoring invalid background: ${candidate}`);
+    }
+    return '#ffffff';
+  }
+
+  /**
+   * Resolve a rendering option from per-image options or display config
+   * @param {string} key - Display config key
+   * @param {*} requested - Value requested for this image
+   * @param {Array} allowed - Allowed values
+   * @param {*} fallback - Value used when neither is valid
+   * @returns {*} - Resolved value
+   * @private
+   */
+  resolveOption(key, requested, allowed, fallback) {
+    for (const candidate of [requested, config.display[key]]) {
+      if (candidate === undefined || candidate === null) continue;
+      // Remote config may send numbers as strings, e.g. "90"
+      const value = typeof allowed[0] === 'number' ? Number(candidate) : String(candidate).toLowerCase();
+      if (allowed.includes(value)) {
+        return value;
+      }
+      console.warn(`Ignoring invalid ${key}: ${candidate}`);
     }
-    return false;
+    return fallback;
   }
 
   /**
    * Display an image
    * @param {Buffer} imageData - Raw image data to display or save
+   * @param {Object} [options] - Per-image display options (e.g. waveform). With fullRefresh the adapter
+   *   clears the panel after rendering, right before drawing, so a broken image never blanks the panel.
+   * @returns {Promise<{width: number, height: number}>} - Dimensions of the displayed image
    */
-  async displayImage(imageData) {
+  async displayImage(imageData, options = {}) {
     throw new Error('Method displayImage() must be implemented by subclass');
   }
 
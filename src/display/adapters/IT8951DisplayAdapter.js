@@ -4,6 +4,8 @@
  */
 const BaseDisplayAdapter = require('./BaseDisplayAdapter');
 const config = require('../../config/ConfigManager');
+const { WAVEFORM_MODES, DEFAULT_WAVEFORM, normalizeWaveform } = require('../WaveformModes');
+const FrameDiff = require('../FrameDiff');
 
 class IT8951DisplayAdapter extends BaseDisplayAdapter {
   constructor() {
@@ -13,6 +15,10 @@ class IT8951DisplayAdapter extends BaseDisplayAdapter {
     this.initializationRetries = 0;
     this.maxRetries = 3;
 
+    // Last packed framebuffer drawn on the panel, used for partial refresh
+    this.lastFrame = null;
+    this.lastFrameBpp = null;
+
     try {
       // Initialize the display with configuration
       const IT8951 = require('node-it8951');
@@ -107,11 +113,32 @@ class IT8951DisplayAdapter extends BaseDisplayAdapter {
     });
   }
 
+  /**
+   * Describe the IT8951 panel
+   * @returns {Object} Capabilities
+   */
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      width: this.initialized ? this.display.width : null,
+      height: this.initialized ? this.display.height : null,
+      partialRefresh: true,
+      waveforms: Object.keys(WAVEFORM_MODES)
+    };
+  }
+
   /**
    * Display an image on the e-ink display
    * @param {Buffer} imageData - Raw image data to display
+   * @param {Object} [options] - Per-image display options
+   * @param {string} [options.waveform] - Waveform mode (GC16, GL16, DU, A2, INIT)
+   * @param {boolean} [options.fullRefresh] - Clear the panel once the image is rendered and redraw it whole,
+   *   even if partial refresh is enabled
+   * @param {string} [options.fit] - Fit mode override (contain, cover, fill, attention)
+   * @param {number} [options.rotation] - Rotation override (0, 90, 180, 270)
+   * @returns {Promise<{width: number, height: number}>} - Dimensions of the drawn frame
    */
-  async displayImage(imageData) {
+  async displayImage(imageData, options = {}) {
     try {
       if (!this.initialized) {
         await this.init();
@@ -119,32 +146,27 @@ class IT8951DisplayAdapter extends BaseDisplayAdapter {
 
       console.log(`Processing image for e-ink display, size: ${imageData.length} bytes`);
 
-      // Process image to adjust brightness using the base class method
-      const brightnessAdjustedImage = await this.processImage(imageData);
-
       // Configure the display
-      this.display.config.BPP = config.display.bpp;
+      const bpp = this.getBpp();
+      this.display.config.BPP = bpp;
 
       const width = this.display.width;
       const height = this.display.height;
 
-      // Convert image to raw grayscale buffer with correct size for the display
-      const sharp = require('sharp');
-      const processedImage = await sharp(brightnessAdjustedImage)
-        .resize(width, height, { fit: 'contain', background: { r: 255, g: 255, b: 255 } })
-        .grayscale()
-        .raw()
-        .toBuffer();
+      // Render, dither and pack the image into the panel's framebuffer format
+      const displayBuffer = await this.rasterizeImage(imageData, width, height, options);
 
-      // Convert 8-bit grayscale to 4-bit packed grayscale
-      const displayBuffer = this.convert8bitTo4BPP(processedImage);
+      // Clear only now, so a render error leaves the current image on the panel
+      if (options.fullRefresh === true) {
+        this.clear();
+      }
 
-      // Draw the image on the display
-      console.log(`Drawing image (${width}x${height}) on e-ink display`);
-      this.display.draw(displayBuffer, 0, 0, width, height);
+      // Draw the image on the display using the requested waveform
+      const waveform = this.resolveWaveform(options.waveform);
+      this.drawFrame(displayBuffer, width, height, bpp, waveform, options.fullRefresh === true);
 
       console.log('Image displayed successfully');
-      return true;
+      return { width, height };
     } catch (error) {
       console.error(`Error displaying image on e-ink:`, error);
       throw error;
@@ -152,18 +174,73 @@ class IT8951DisplayAdapter extends BaseDisplayAdapter {
   }
 
   /**
-   * Packs two 4-bit pixels into each byte for the e-ink display
-   * @param {Buffer} input - 8-bit grayscale buffer
-   * @returns {Buffer} - 4-bit packed grayscale buffer
+   * Draw a packed frame, redrawing only changed regions when possible
+   * @param {Buffer} frame - Packed framebuffer for the whole panel
+   * @param {number} width - Panel width in pixels
+   * @param {number} height - Panel height in pixels
+   * @param {number} bpp - Bits per pixel of the packed frame
+   * @param {string} waveform - Waveform name
+   * @param {boolean} forceFull - Skip diffing and redraw the whole panel
+   */
+  drawFrame(frame, width, height, bpp, waveform, forceFull) {
+    const mode = WAVEFORM_MODES[waveform];
+    const canDiff = !forceFull &&
+      config.display.partialRefresh &&
+      this.lastFrame !== null &&
+      this.lastFrameBpp === bpp &&
+      this.lastFrame.length === frame.length;
+
+    if (canDiff) {
+      const regions = FrameDiff.changedRegions(this.lastFrame, frame, width, height, bpp);
+      const changedRatio = FrameDiff.area(regions) / (width * height);
+
+      if (regions.length === 0) {
+        console.log('Image unchanged - skipping redraw');
+        return;
+      }
+
+      if (changedRatio <= config.display.partialRefreshThreshold) {
+        console.log(`Partial refresh of ${regions.length} region(s) covering ${(changedRatio * 100).toFixed(1)}% using ${waveform} waveform`);
+        for (const region of regions) {
+          const regionBuffer = FrameDiff.extractRegion(frame, width, bpp, region);
+          this.display.draw(regionBuffer, region.x, region.y, region.width, region.height, mode);
+        }
+        this.lastFrame = frame;
+        return;
+      }
+
+      console.log(`Changed area ${(changedRatio * 100).toFixed(1)}% exceeds partial refresh threshold - doing full refresh`);
+    }
+
+    console.log(`Drawing image (${width}x${height}) on e-ink display using ${waveform} waveform`);
+    this.display.draw(frame, 0, 0, width, height, mode);
+    this.lastFrame = frame;
+    this.lastFrameBpp = bpp;
+  }
+
+  /**
+   * Forget the last drawn frame so the next draw is a full refresh
    */
-  convert8bitTo4BPP(input) {
-    const output = Buffer.alloc(Math.ceil(input.length / 2));
-    for (let i = 0; i < input.length; i += 2) {
-      const high = input[i] >> 4;
-      const low = (i + 1 < input.length) ? (input[i + 1] >> 4) : 0x0;
-      output[i >> 1] = (high << 4) | low;
+  resetLastFrame() {
+    this.lastFrame = null;
+    this.lastFrameBpp = null;
+  }
+
+  /**
+   * Resolve the waveform mode for a draw, falling back to the configured default
+   * @param {string} [requested] - Waveform requested for this image
+   * @returns {string} - Supported waveform name
+   */
+  resolveWaveform(requested) {
+    if (requested !== undefined) {
+      const waveform = normalizeWaveform(requested);
+      if (waveform) {
+        return waveform;
+      }
+      console.warn(`Unknown waveform "${requested}", using configured default`);
     }
-    return output;
+
+    return normalizeWaveform(config.display.waveform) || DEFAULT_WAVEFORM;
   }
 
   /**
@@ -173,6 +250,7 @@ class IT8951DisplayAdapter extends BaseDisplayAdapter {
     if (this.initialized) {
       try {
         this.display.clear();
+        this.resetLastFrame();
         console.log('Display cleared');
       } catch (error) {
         console.error('Error clearing display:', error.message);
@@ -199,6 +277,7 @@ class IT8951DisplayAdapter extends BaseDisplayAdapter {
         console.error('Error closing display:', error.message);
       }
       this.initialized = false;
+      this.resetLastFrame();
       console.log('E-ink display closed');
     }
   }
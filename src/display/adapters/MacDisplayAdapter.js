@@ -4,7 +4,6 @@
 const BaseDisplayAdapter = require('./BaseDisplayAdapter');
 const fs = require('fs-extra');
 const path = require('path');
-const sharp = require('sharp');
 const config = require('../../config/ConfigManager');
 
 class MacDisplayAdapter extends BaseDisplayAdapter {
@@ -23,6 +22,18 @@ class MacDisplayAdapter extends BaseDisplayAdapter {
     return deviceId.replace(/:/g, '_');
   }
 
+  /**
+   * Images are saved as full-color JPEGs
+   * @returns {Object} Capabilities
+   */
+  getCapabilities() {
+    return {
+      ...super.getCapabilities(),
+      bpp: 24,
+      color: true
+    };
+  }
+
   /**
    * Initialize by creating necessary directories
    */
@@ -30,7 +41,7 @@ class MacDisplayAdapter extends BaseDisplayAdapter {
     if (!this.initialized) {
       try {
         // Make sure image directory exists
-        const savePath = path.resolve(process.env.IMAGE_SAVE_PATH || './images');
+        const savePath = path.resolve(config.image.savePath);
 
         // Create the base images directory if it doesn't exist
         fs.ensureDirSync(savePath);
@@ -54,8 +65,10 @@ class MacDisplayAdapter extends BaseDisplayAdapter {
   /**
    * Save image to disk as JPEG
    * @param {Buffer} imageData - Raw image data to save
+   * @param {Object} [options] - Per-image display options (fit, rotation; waveform is ignored)
+   * @returns {Promise<{width: number, height: number}>} - Dimensions of the saved image
    */
-  async displayImage(imageData) {
+  async displayImage(imageData, options = {}) {
     try {
       if (!this.initialized) {
         this.init();
@@ -63,21 +76,25 @@ class MacDisplayAdapter extends BaseDisplayAdapter {
 
       console.log(`Processing image for saving, size: ${imageData.length} bytes`);
 
-      // Process image to adjust brightness using the base class method
-      const processedImageData = await this.processImage(imageData);
-
       // Use sanitized device ID for the path
-      const savePath = path.resolve(process.env.IMAGE_SAVE_PATH || './images');
+      const savePath = path.resolve(config.image.savePath);
       const sanitizedDeviceId = this.sanitizeDeviceId(config.device.id);
       const devicePath = path.join(savePath, sanitizedDeviceId);
       const imagePath = path.join(devicePath, `latest_image.jpg`);
 
-      // Convert and save image
-      await sharp(processedImageData)
+      // Apply the same fit/tone/rotation as the e-ink adapter, then save as JPEG
+      const renderedImage = await this.renderImage(
+        imageData,
+        config.display.width,
+        config.display.height,
+        options
+      );
+      const info = await renderedImage
         .jpeg({ quality: 90 })
         .toFile(imagePath);
 
       console.log(`Image saved to ${imagePath}`);
+      return { width: info.width, height: info.height };
     } catch (error) {
       console.error(`Error saving image:`, error);
       throw error;  // Re-throw the error so it can be handled upstream if needed
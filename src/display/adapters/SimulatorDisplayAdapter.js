@@ -0,0 +1,150 @@
+/**
+ * SimulatorDisplayAdapter - Headless adapter that writes exactly what the e-ink panel would show
+ * Runs the full render/grayscale/dither/pack pipeline (or the palette pipeline of a color
+ * panel when DISPLAY_PALETTE is set) and saves the quantized frame as PNG, so rendering
+ * can be checked on any machine without hardware
+ */
+const BaseDisplayAdapter = require('./BaseDisplayAdapter');
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const config = require('../../config/ConfigManager');
+const PaletteQuantizer = require('../PaletteQuantizer');
+
+// Default to the resolution of the 10.3" IT8951 panel
+const DEFAULT_WIDTH = 1872;
+const DEFAULT_HEIGHT = 1404;
+
+class SimulatorDisplayAdapter extends BaseDisplayAdapter {
+  constructor() {
+    super();
+    this.initialized = false;
+    this.width = config.display.width || DEFAULT_WIDTH;
+    this.height = config.display.height || DEFAULT_HEIGHT;
+    this.outputPath = null;
+    this.pendingWrite = Promise.resolve(); // Keeps clear() and draws in order
+    console.log(`Simulator display adapter created (${this.width}x${this.height})`);
+  }
+
+  /**
+   * Describe the simulated panel
+   * @returns {Object} Capabilities
+   */
+  getCapabilities() {
+    const palette = this.getPalette();
+    return {
+      ...super.getCapabilities(),
+      width: this.width,
+      height: this.height,
+      bpp: palette ? 4 : this.getBpp(),
+      color: palette !== null
+    };
+  }
+
+  /**
+   * Initialize by creating the output directory
+   */
+  init() {
+    if (!this.initialized) {
+      try {
+        const savePath = path.resolve(config.image.savePath);
+        const devicePath = path.join(savePath, config.device.id.replace(/:/g, '_'));
+        fs.ensureDirSync(devicePath);
+
+        this.outputPath = path.join(devicePath, 'latest_simulated.png');
+        console.log(`Simulator output prepared: ${this.outputPath}`);
+        this.initialized = true;
+      } catch (error) {
+        console.error(`Error initializing simulator output: ${error.message}`);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Run the panel pipeline and save the quantized frame as PNG
+   * @param {Buffer} imageData - Raw image data to display
+   * @param {Object} [options] - Per-image display options (waveform is ignored; fullRefresh clears the
+   *   panel once the image is rendered)
+   * @returns {Promise<{width: number, height: number}>} - Dimensions of the simulated frame
+   */
+  async displayImage(imageData, options = {}) {
+    try {
+      if (!this.initialized) {
+        this.init();
+      }
+
+      console.log(`Simulating e-ink display, size: ${imageData.length} bytes`);
+
+      const palette = this.getPalette();
+      const frame = palette
+        ? await this.rasterizeColorImage(imageData, this.width, this.height, palette, options)
+        : await this.rasterizeImage(imageData, this.width, this.height, options);
+      if (options.fullRefresh === true) {
+        this.clear();
+      }
+      await this.writeFrame(frame, palette);
+
+      console.log(`Simulated frame saved to ${this.outputPath}`);
+      return { width: this.width, height: this.height };
+    } catch (error) {
+      console.error(`Error simulating image:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unpack a packed frame to the gray levels (or palette colors) shown on the panel and save it as PNG
+   * @param {Buffer} frame - Packed framebuffer
+   * @param {Array|null} [palette] - Palette of a color frame, null for grayscale
+   * @returns {Promise} - Resolves when the file is written
+   */
+  writeFrame(frame, palette = null) {
+    const pixelCount = this.width * this.height;
+    const pixels = palette
+      ? PaletteQuantizer.unpack(frame, pixelCount, palette)
+      : this.unpackFrame(frame, pixelCount);
+    const channels = palette ? 3 : 1;
+    const write = this.pendingWrite.then(() =>
+      sharp(pixels, { raw: { width: this.width, height: this.height, channels } })
+        .png()
+        .toFile(this.outputPath)
+    );
+
+    // A failed write must not block the ones queued after it
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Clear the simulated panel to white
+   */
+  clear() {
+    if (!this.initialized) {
+      console.log('Simulator not initialized, skipping clear');
+      return;
+    }
+
+    const palette = this.getPalette();
+    let white;
+    if (palette) {
+      const code = palette[PaletteQuantizer.nearest(palette, 255, 255, 255)].code;
+      white = Buffer.alloc(Math.ceil((this.width * this.height) / 2), (code << 4) | code);
+    } else {
+      white = Buffer.alloc(Math.ceil((this.width * this.height * this.getBpp()) / 8), 0xff);
+    }
+    this.writeFrame(white, palette)
+      .then(() => console.log('Simulated display cleared'))
+      .catch(error => console.error('Error clearing simulated display:', error.message));
+  }
+
+  /**
+   * Close the simulator
+   */
+  close() {
+    this.initialized = false;
+    console.log('Simulator display adapter closed');
+  }
+}
+
+module.exports = SimulatorDisplayAdapter;
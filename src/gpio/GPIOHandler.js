@@ -10,7 +10,7 @@ class GPIOHandler {
   constructor() {
     this.gpio = null;
     this.shutdownPin = config.gpio.shutdownPin;
-    this.enabled = config.gpio.enableShutdownSwitch;
+    this.enabled = config.gpio.enabled;
     this.isRaspberryPi = os.platform() === 'linux';
     this.shutdownInitiated = false;
   }
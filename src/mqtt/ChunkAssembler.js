@@ -0,0 +1,212 @@
+/**
+ * ChunkAssembler - Reassembles images sent as multiple MQTT messages
+ * A transfer is a JSON manifest `{"chunks", "size", "sha256", ...options}`
+ * plus numbered chunks (0 .. chunks-1) of raw bytes. Complete transfers are
+ * verified against the SHA-256 of the manifest; incomplete ones are
+ * discarded after a timeout.
+ */
+const crypto = require('crypto');
+
+// Transfers kept in memory at once; the oldest is dropped beyond this
+const MAX_TRANSFERS = 4;
+
+class ChunkAssembler {
+  /**
+   * @param {Object} options - Assembler options
+   * @param {number} options.timeout - Discard incomplete transfers after this many ms
+   * @param {number} options.maxBytes - Largest accepted image size
+   * @param {Function} [options.onExpired] - Called with (transferId, manifest) when a transfer times out
+   */
+  constructor({ timeout, maxBytes, onExpired }) {
+    this.timeout = timeout;
+    this.maxBytes = maxBytes;
+    this.onExpired = onExpired || null;
+    this.transfers = new Map();
+  }
+
+  /**
+   * Register the manifest of a transfer
+   * @param {string} transferId - Transfer ID from the topic
+   * @param {Object} manifest - Parsed manifest
+   * @param {Object} [packet] - Raw MQTT packet of the manifest (kept for receipts and user properties)
+   * @returns {{data: Buffer, manifest: Object, packet: Object}|null} - Completed image if all chunks already arrived
+   */
+  addManifest(transferId, manifest, packet = null) {
+    const chunks = Number(manifest.chunks);
+    const size = Number(manifest.size);
+
+    if (!Number.isInteger(chunks) || chunks < 1) {
+      throw new Error('Manifest "chunks" must be a positive integer');
+    }
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error('Manifest "size" must be a positive integer');
+    }
+    if (size > this.maxBytes) {
+      throw new Error(`Image too large (${size} bytes, limit ${this.maxBytes})`);
+    }
+    if (typeof manifest.sha256 !== 'string' || !/^[0-9a-f]{64}$/i.test(manifest.sha256)) {
+      throw new Error('Manifest "sha256" must be a hex SHA-256 digest');
+    }
+
+    const transfer = this.getTransfer(transferId);
+    transfer.manifest = { ...manifest, chunks, size, sha256: manifest.sha256.toLowerCase() };
+    transfer.packet = packet;
+
+    // Chunks may have arrived before the manifest
+    for (const index of transfer.parts.keys()) {
+      if (index >= chunks) {
+        transfer.received -= transfer.parts.get(index).length;
+        transfer.parts.delete(index);
+      }
+    }
+
+    return this.complete(transferId);
+  }
+
+  /**
+   * Manifest and packet of a pending transfer
+   * @param {string} transferId - Transfer ID
+   * @returns {{manifest: Object|null, packet: Object|null}|null} - Transfer details or null if unknown
+   */
+  describe(transferId) {
+    const transfer = this.transfers.get(transferId);
+    return transfer ? { manifest: transfer.manifest, packet: transfer.packet } : null;
+  }
+
+  /**
+   * Add one chunk of a transfer
+   * @param {string} transferId - Transfer ID from the topic
+   * @param {number} index - Chunk number
+   * @param {Buffer} data - Chunk bytes
+   * @returns {{data: Buffer, manifest: Object, packet: Object}|null} - Completed image, or null while chunks are missing
+   */
+  addChunk(transferId, index, data) {
+    if (!Number.isInteger(index) || index < 0) {
+      throw new Error(`Invalid chunk number: ${index}`);
+    }
+
+    const transfer = this.getTransfer(transferId);
+    if (transfer.manifest && index >= transfer.manifest.chunks) {
+      throw new Error(`Chunk ${index} out of range (transfer has ${transfer.manifest.chunks} chunks)`);
+    }
+
+    // Redelivered chunks (QoS 1) replace the earlier copy
+    if (transfer.parts.has(index)) {
+      transfer.received -= transfer.parts.get(index).length;
+    }
+    transfer.parts.set(index, data);
+    transfer.received += data.length;
+
+    if (transfer.received > this.maxBytes) {
+      throw new Error(`Transfer ${transferId} exceeds ${this.maxBytes} bytes`);
+    }
+
+    return this.complete(transferId);
+  }
+
+  /**
+   * Assemble a transfer once its manifest and all chunks are present
+   * @param {string} transferId - Transfer ID
+   * @returns {{data: Buffer, manifest: Object, packet: Object}|null} - Completed image or null
+   * @private
+   */
+  complete(transferId) {
+    const transfer = this.transfers.get(transferId);
+    const manifest = transfer.manifest;
+    if (!manifest || transfer.parts.size < manifest.chunks) {
+      return null;
+    }
+
+    const parts = [];
+    for (let i = 0; i < manifest.chunks; i++) {
+      parts.push(transfer.parts.get(i));
+    }
+    const data = Buffer.concat(parts);
+
+    if (data.length !== manifest.size) {
+      throw new Error(`Transfer ${transferId} size mismatch (expected ${manifest.size} bytes, got ${data.length})`);
+    }
+
+    const digest = crypto.createHash('sha256').update(data).digest('hex');
+    if (digest !== manifest.sha256) {
+      throw new Error(`Transfer ${transferId} checksum mismatch`);
+    }
+
+    this.discard(transferId);
+    return { data, manifest, packet: transfer.packet };
+  }
+
+  /**
+   * Get or start the state of a transfer
+   * @param {string} transferId - Transfer ID
+   * @returns {Object} - Transfer state
+   * @private
+   */
+  getTransfer(transferId) {
+    let transfer = this.transfers.get(transferId);
+    if (transfer) {
+      return transfer;
+    }
+
+    if (this.transfers.size >= MAX_TRANSFERS) {
+      const oldest = this.transfers.keys().next().value;
+      console.warn(`Too many concurrent image transfers, dropping ${oldest}`);
+      this.discard(oldest);
+    }
+
+    transfer = {
+      manifest: null,
+      packet: null,
+      parts: new Map(),
+      received: 0,
+      timer: setTimeout(() => this.expire(transferId), this.timeout)
+    };
+    // Don't keep the process alive just for an abandoned transfer
+    transfer.timer.unref();
+    this.transfers.set(transferId, transfer);
+    return transfer;
+  }
+
+  /**
+   * Drop a transfer that did not complete in time
+   * @param {string} transferId - Transfer ID
+   * @private
+   */
+  expire(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) {
+      return;
+    }
+
+    const expected = transfer.manifest ? transfer.manifest.chunks : '?';
+    console.warn(`Discarding incomplete image transfer ${transferId} (${transfer.parts.size}/${expected} chunks)`);
+    this.discard(transferId);
+
+    if (this.onExpired) {
+      this.onExpired(transferId, transfer.manifest, transfer.packet);
+    }
+  }
+
+  /**
+   * Forget a transfer and stop its timer
+   * @param {string} transferId - Transfer ID
+   */
+  discard(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (transfer) {
+      clearTimeout(transfer.timer);
+      this.transfers.delete(transferId);
+    }
+  }
+
+  /**
+   * Drop all pending transfers
+   */
+  clear() {
+    for (const transferId of Array.from(this.transfers.keys())) {
+      this.discard(transferId);
+    }
+  }
+}
+
+module.exports = ChunkAssembler;
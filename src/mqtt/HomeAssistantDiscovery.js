@@ -0,0 +1,246 @@
+/**
+ * HomeAssistantDiscovery - Exposes the frame to Home Assistant via MQTT discovery
+ * Publishes retained discovery configs for an image entity (current picture),
+ * a brightness number, an auto-shutdown switch, refresh/clear buttons and
+ * diagnostic sensors. Entity commands go to the regular config and command
+ * topics, so they take the same path as messages from the backend.
+ */
+const sharp = require('sharp');
+const config = require('../config/ConfigManager');
+const { version } = require('../../package.json');
+
+// How often the state (uptime) is republished while connected
+const STATE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Settings shown in the entity state, republished when they change
+const STATE_KEYS = ['display.gamma', 'autoShutdown.enabled'];
+
+class HomeAssistantDiscovery {
+  /**
+   * @param {MQTTClient} mqttClient - Connected client used for publishing
+   * @param {Function} getState - Returns the current frame state
+   *   ({brightness, autoShutdown, lastRenderMs, lastDisplayed, uptime})
+   */
+  constructor(mqttClient, getState) {
+    this.mqttClient = mqttClient;
+    this.getState = getState;
+    this.stateTimer = null;
+
+    config.on('change', ({ key }) => {
+      if (STATE_KEYS.includes(key)) {
+        this.publishState();
+      }
+    });
+  }
+
+  /**
+   * Home Assistant node ID for this device (MAC addresses and other IDs
+   * reduced to the characters allowed in discovery topics)
+   * @returns {string} Node ID, e.g. einkframe_b8_27_eb_00_11_22
+   */
+  get nodeId() {
+    return `einkframe_${config.device.id.toLowerCase().replace(/[^a-z0-9_]/g, '_')}`;
+  }
+
+  /**
+   * Topics used by the entities
+   * @returns {{state: string, image: string, config: string, command: string, availability: string}} Topics
+   */
+  get topics() {
+    const base = `device/${config.device.id}`;
+    return {
+      state: `${base}/ha/state`,
+      image: `${base}/ha/image`,
+      config: `${base}/config`,
+      command: `${base}/command`,
+      availability: this.mqttClient.getStatusTopic()
+    };
+  }
+
+  /**
+   * Discovery configs for all entities
+   * @returns {Array<{component: string, key: string, payload: Object}>} Entity configs
+   */
+  buildConfigs() {
+    const topics = this.topics;
+    const device = {
+      identifiers: [this.nodeId],
+      name: config.homeAssistant.deviceName,
+      manufacturer: 'einkframe',
+      model: `${config.display.adapter} display`,
+      sw_version: version
+    };
+    const common = {
+      device,
+      availability_topic: topics.availability,
+      availability_template: '{{ value_json.status }}',
+      payload_available: 'online',
+      payload_not_available: 'offline'
+    };
+
+    const entities = [
+      {
+        component: 'image',
+        key: 'image',
+        payload: {
+          name: 'Picture',
+          image_topic: topics.image,
+          content_type: 'image/jpeg'
+        }
+      },
+      {
+        component: 'number',
+        key: 'brightness',
+        payload: {
+          name: 'Brightness',
+          icon: 'mdi:brightness-6',
+          command_topic: topics.config,
+          command_template: '{"display": {"gamma": {{ value }}}}',
+          state_topic: topics.state,
+          value_template: '{{ value_json.brightness }}',
+          min: 0.1,
+          max: 3,
+          step: 0.1,
+          mode: 'slider',
+          entity_category: 'config'
+        }
+      },
+      {
+        component: 'switch',
+        key: 'auto_shutdown',
+        payload: {
+          name: 'Auto-shutdown',
+          icon: 'mdi:power-sleep',
+          command_topic: topics.config,
+          payload_on: '{"enableAutoShutdown": true}',
+          payload_off: '{"enableAutoShutdown": false}',
+          state_topic: topics.state,
+          value_template: "{{ 'ON' if value_json.autoShutdown else 'OFF' }}",
+          state_on: 'ON',
+          state_off: 'OFF',
+          entity_category: 'config'
+        }
+      },
+      {
+        component: 'button',
+        key: 'refresh',
+        payload: {
+          name: 'Refresh',
+          icon: 'mdi:refresh',
+          command_topic: topics.command,
+          payload_press: 'refresh'
+        }
+      },
+      {
+        component: 'button',
+        key: 'clear',
+        payload: {
+          name: 'Clear',
+          icon: 'mdi:eraser',
+          command_topic: topics.command,
+          payload_press: 'clear'
+        }
+      },
+      {
+        component: 'sensor',
+        key: 'last_render_time',
+        payload: {
+          name: 'Last render time',
+          icon: 'mdi:timer-outline',
+          state_topic: topics.state,
+          value_template: '{{ value_json.lastRenderMs }}',
+          unit_of_measurement: 'ms',
+          state_class: 'measurement',
+          entity_category: 'diagnostic'
+        }
+      },
+      {
+        component: 'sensor',
+        key: 'last_displayed',
+        payload: {
+          name: 'Last displayed',
+          state_topic: topics.state,
+          value_template: '{{ value_json.lastDisplayed }}',
+          device_class: 'timestamp',
+          entity_category: 'diagnostic'
+        }
+      },
+      {
+        component: 'sensor',
+        key: 'uptime',
+        payload: {
+          name: 'Uptime',
+          state_topic: topics.state,
+          value_template: '{{ value_json.uptime }}',
+          device_class: 'duration',
+          unit_of_measurement: 's',
+          entity_category: 'diagnostic'
+        }
+      }
+    ];
+
+    return entities.map(entity => ({
+      ...entity,
+      payload: {
+        ...common,
+        ...entity.payload,
+        unique_id: `${this.nodeId}_${entity.key}`,
+        object_id: `${this.nodeId}_${entity.key}`
+      }
+    }));
+  }
+
+  /**
+   * Publish the retained discovery configs and the current state, and keep
+   * the state fresh while connected
+   */
+  async publishDiscovery() {
+    const { prefix } = config.homeAssistant;
+    const configs = this.buildConfigs();
+
+    await Promise.all(configs.map(({ component, key, payload }) => this.mqttClient.publish(
+      `${prefix}/${component}/${this.nodeId}/${key}/config`,
+      JSON.stringify(payload),
+      { qos: 1, retain: true }
+    )));
+    console.log(`Published Home Assistant discovery for ${configs.length} entities`);
+
+    await this.publishState();
+
+    if (!this.stateTimer) {
+      this.stateTimer = setInterval(() => this.publishState(), STATE_INTERVAL_MS);
+      // Don't keep the process alive just for state updates
+      this.stateTimer.unref();
+    }
+  }
+
+  /**
+   * Publish the retained entity state
+   * @returns {Promise<boolean>} True if the state was sent
+   */
+  publishState() {
+    return this.mqttClient.publish(this.topics.state, JSON.stringify(this.getState()), { qos: 1, retain: true });
+  }
+
+  /**
+   * Publish a JPEG preview of the displayed image for the image entity
+   * @param {Buffer} imageData - Image that was displayed
+   * @returns {Promise<boolean>} True if the preview was sent
+   */
+  async publishImage(imageData) {
+    try {
+      const size = config.homeAssistant.previewSize;
+      const preview = await sharp(imageData)
+        .rotate()
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+      return this.mqttClient.publish(this.topics.image, preview, { qos: 1, retain: true });
+    } catch (error) {
+      console.error('Error publishing Home Assistant image preview:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = HomeAssistantDiscovery;
@@ -0,0 +1,136 @@
+/**
+ * ImagePayload - Decodes messages on the image topic
+ * Accepts raw image bytes, or a JSON envelope with one image source
+ * (`url`, `base64` or `path`) plus per-image display options
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/ConfigManager');
+const ImageFetcher = require('../util/ImageFetcher');
+
+// Per-image options accepted in JSON envelopes
+const OPTION_KEYS = ['fit', 'waveform', 'rotation', 'background', 'caption'];
+
+class ImagePayload {
+  /**
+   * Check if a payload looks like a JSON envelope rather than image bytes
+   * @param {Buffer} message - MQTT payload
+   * @returns {boolean} True if the payload starts with '{'
+   */
+  static isJsonEnvelope(message) {
+    for (let i = 0; i < message.length; i++) {
+      const byte = message[i];
+      // Skip leading whitespace
+      if (byte === 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d) continue;
+      return byte === 0x7b; // '{'
+    }
+    return false;
+  }
+
+  /**
+   * Decode an image topic payload
+   * @param {Buffer} message - MQTT payload
+   * @returns {Promise<{data: Buffer, options: Object}>} - Image data and display options from the envelope
+   */
+  static async decode(message) {
+    if (!ImagePayload.isJsonEnvelope(message)) {
+      return { data: message, options: {} };
+    }
+
+    let envelope;
+    try {
+      envelope = JSON.parse(message.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid JSON image envelope: ${error.message}`);
+    }
+
+    const options = ImagePayload.pickOptions(envelope);
+    return { data: await ImagePayload.loadSource(envelope), options };
+  }
+
+  /**
+   * Pick the per-image display options from an envelope or transfer manifest
+   * @param {Object} source - Parsed JSON object
+   * @returns {Object} - Display options present in the object
+   */
+  static pickOptions(source) {
+    const options = {};
+    for (const key of OPTION_KEYS) {
+      if (source[key] !== undefined && source[key] !== null) {
+        options[key] = source[key];
+      }
+    }
+    return options;
+  }
+
+  /**
+   * Load image bytes from the source named in an envelope
+   * @param {Object} envelope - Parsed JSON envelope
+   * @returns {Promise<Buffer>} - Image data
+   * @private
+   */
+  static async loadSource(envelope) {
+    const sources = ['url', 'base64', 'path'].filter(key => typeof envelope[key] === 'string' && envelope[key] !== '');
+    if (sources.length !== 1) {
+      throw new Error('Image envelope must contain exactly one non-empty url, base64 or path');
+    }
+
+    if (envelope.url) {
+      console.log(`Image envelope references URL: ${envelope.url}`);
+      return ImageFetcher.fetch(envelope.url);
+    }
+
+    if (envelope.base64) {
+      const data = Buffer.from(envelope.base64, 'base64');
+      if (data.length === 0) {
+        throw new Error('Image envelope contains empty base64 data');
+      }
+      if (data.length > config.image.maxBytes) {
+        throw new Error(`Image too large (${data.length} bytes, limit ${config.image.maxBytes})`);
+      }
+      return data;
+    }
+
+    return ImagePayload.readLocalFile(envelope.path);
+  }
+
+  /**
+   * Read a local image file, restricted to the configured image directory
+   * @param {string} relativePath - Path from the envelope, relative to image.localRoot
+   * @returns {Promise<Buffer>} - Image data
+   * @private
+   */
+  static async readLocalFile(relativePath) {
+    const root = path.resolve(config.image.localRoot);
+    const inRoot = (dir, file) => file === dir || file.startsWith(dir + path.sep);
+
+    const filePath = path.resolve(root, relativePath);
+    if (!inRoot(root, filePath)) {
+      throw new Error(`Image path outside of ${root}: ${relativePath}`);
+    }
+
+    // Symlinks must not lead out of the directory either
+    let realPath;
+    try {
+      realPath = await fs.promises.realpath(filePath);
+    } catch (error) {
+      throw new Error(`Image file not found: ${relativePath}`);
+    }
+    if (!inRoot(await fs.promises.realpath(root), realPath)) {
+      throw new Error(`Image path outside of ${root}: ${relativePath}`);
+    }
+
+    const stats = await fs.promises.stat(realPath);
+    if (!stats.isFile()) {
+      throw new Error(`Image path is not a file: ${relativePath}`);
+    }
+    if (stats.size > config.image.maxBytes) {
+      throw new Error(`Image too large (${stats.size} bytes, limit ${config.image.maxBytes})`);
+    }
+
+    console.log(`Image envelope references local file: ${filePath}`);
+    return fs.promises.readFile(realPath);
+  }
+}
+
+module.exports = ImagePayload;
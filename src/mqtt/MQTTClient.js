@@ -1,379 +1,893 @@
 /**
  * MQTTClient - Handles all MQTT connectivity and message processing
- * Optimized for fastest possible image reception during boot
+ * Keeps a single broker connection alive with explicit connection states,
+ * exponential backoff with jitter and resubscription after every reconnect.
+ *
+ * Events:
+ *   - 'state' (state, previousState): connection state changed
+ *   - 'connected': connected and subscriptions requested
+ *   - 'disconnected': connection lost, a reconnect is scheduled
+ *   - 'closed': close() finished
  */
+const EventEmitter = require('events');
 const mqtt = require('mqtt');
 const config = require('../config/ConfigManager');
+const ConfigSchema = require('../config/ConfigSchema');
 const fs = require('fs');
-const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const ImagePayload = require('./ImagePayload');
+const ChunkAssembler = require('./ChunkAssembler');
+const PayloadVerifier = require('./PayloadVerifier');
+const { version } = require('../../package.json');
 
-// Global module-level state to enable connection reuse across restarts
-let globalClient = null;
-let globalClientTimestamp = 0;
-let globalConnectionPromise = null;
-
-// Track connection stats
-const connectionStats = {
-  attempts: 0,
-  lastConnectTime: 0
+// Connection states
+const STATES = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  BACKOFF: 'backoff',
+  OFFLINE: 'offline'
 };
 
-// Message buffer to store the latest image during initialization
-let latestImageBuffer = null;
-let imageReceived = false;
+// How long connect() waits for the first connection before letting startup continue
+const STARTUP_TIMEOUT_MS = 3000;
+
+// Precedence of image sources; a more specific source wins over a broader one
+const IMAGE_PRECEDENCE = {
+  broadcast: 1,
+  group: 2,
+  device: 3
+};
 
-class MQTTClient {
+class MQTTClient extends EventEmitter {
   constructor(messageHandler) {
+    super();
     this.messageHandler = messageHandler;
     this.client = null;
-    this.isConnected = false;
+    this.state = STATES.OFFLINE;
     this.connectionPromise = null;
-    this.reconnecting = false;
+    this.closing = false;
 
-    // Track subscription status to avoid duplicate subscriptions
+    // Topics subscribed on the current connection; cleared when it drops
     this.topicsSubscribed = new Set();
 
-    // Connection attempt counter for progressive backoff
-    this.connectionAttempts = 0;
+    // Failed attempts since the last successful connection, drives the backoff delay
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+
+    // Sequence number of the latest image message
+    this.imageSequence = 0;
+
+    // Source of the image currently shown, for device > group > broadcast precedence
+    this.currentImageSource = null;
 
-    // Try to restore from existing global connection
-    if (globalClient && Date.now() - globalClientTimestamp < 60000) {
-      console.log('Reusing existing MQTT connection from cache');
-      this.client = globalClient;
-      this.isConnected = this.client.connected;
-      if (this.isConnected) {
-        console.log('Restored MQTT connection is active');
+    // Group image topics subscribed on the current connection
+    this.groupTopics = [];
+
+    // Reassembles images sent as manifest + numbered chunks
+    this.chunkAssembler = new ChunkAssembler({
+      timeout: config.image.chunkTimeout,
+      maxBytes: config.image.maxBytes,
+      onExpired: (transferId, manifest, packet) => {
+        this.publishTransferFailure(manifest, packet, `Transfer ${transferId} timed out`);
       }
-    }
+    });
+
+    // Follow group membership changes from config messages
+    this.onConfigChange = ({ key }) => {
+      if (key === 'fleet.groups') {
+        this.updateGroupSubscriptions();
+      }
+    };
+    config.on('change', this.onConfigChange);
   }
 
   /**
-   * Connect to the MQTT broker with extreme optimization for fast startup
-   * @returns {Promise} Promise that resolves when connected or rejects on error
+   * Connection states
+   * @returns {Object} State names (CONNECTING, CONNECTED, BACKOFF, OFFLINE)
    */
-  connect() {
-    // If we have a valid global promise, use it
-    if (globalConnectionPromise && Date.now() - globalClientTimestamp < 30000) {
-      console.log('Using existing MQTT connection promise');
-      return globalConnectionPromise;
+  static get STATES() {
+    return STATES;
+  }
+
+  /**
+   * True while connected to the broker
+   * @returns {boolean} Connection status
+   */
+  get isConnected() {
+    return this.state === STATES.CONNECTED;
+  }
+
+  /**
+   * Move to a new connection state and notify listeners
+   * @param {string} state - New state
+   * @private
+   */
+  setState(state) {
+    if (state === this.state) {
+      return;
     }
+    const previous = this.state;
+    this.state = state;
+    console.log(`MQTT state: ${previous} -> ${state}`);
+    this.emit('state', state, previous);
+  }
 
+  /**
+   * Connect to the MQTT broker. Resolves once connected, or after a short
+   * startup timeout so the application is never blocked by the network;
+   * the client keeps reconnecting in the background either way.
+   * @returns {Promise} Promise that resolves when connected or the startup timeout passed
+   */
+  connect() {
     if (this.connectionPromise) {
       return this.connectionPromise;
     }
 
-    // If we already have a connected client, just use it
-    if (this.client && this.client.connected) {
-      this.isConnected = true;
-      console.log('MQTT client already connected');
-      this.subscribeToTopics();
-      return Promise.resolve();
-    }
-
-    console.log(`Ultra-fast connecting to MQTT broker at ${config.mqtt.broker.url}`);
-
-    this.connectionPromise = new Promise((resolve, reject) => {
-      connectionStats.attempts++;
-      connectionStats.lastConnectTime = Date.now();
+    this.closing = false;
 
+    this.connectionPromise = new Promise((resolve) => {
+      let brokerUrl;
+      let options;
       try {
-        // Ultra-optimized connection settings
-        const optimizedOptions = {
-          ...config.mqtt.options,
-          port: config.mqtt.broker.port,
-          connectTimeout: 3000,          // Very aggressive timeout
-          reconnectPeriod: 1000,         // Very fast reconnection attempts
-          rejectUnauthorized: false,     // Skip TLS verification for speed
-          clean: true,                   // Clean session for fresh start
-          keepalive: 60,                 // Standard keepalive
-          protocolVersion: 5,            // Use MQTT 5.0 if supported
-          properties: {
-            requestResponseInformation: true,
-            requestProblemInformation: true
-          },
-          sessionExpiryInterval: 0
-        };
-
-        // Setup connection timeout that won't block the application
-        const connectionTimeoutMs = 3000;
-        let connectionTimeoutId = setTimeout(() => {
-          console.warn('MQTT connection taking longer than expected - proceeding with application startup');
-
-          if (!this.isConnected && this.client) {
-            // Subscribe anyway, it will queue until connected
-            this.subscribeToTopics();
-          }
-
-          // Resolve the promise to unblock application
-          resolve();
-        }, connectionTimeoutMs);
-
-        // Create client with optimized options
-        this.client = mqtt.connect(
-          `mqtts://${config.mqtt.broker.url}`,
-          optimizedOptions
-        );
-
-        // Store globally
-        globalClient = this.client;
-        globalClientTimestamp = Date.now();
-        globalConnectionPromise = this.connectionPromise;
-
-        // Connect first for fastest setup
-        this.client.on('connect', () => {
-          clearTimeout(connectionTimeoutId);
-          connectionTimeoutId = null;
-          this.isConnected = true;
-          this.connectionAttempts = 0;
-
-          // Subscribe immediately
-          this.subscribeToTopicsFast();
-
-          // After subscribing tell the app we're connected
-          this.handleConnect();
-          resolve();
-        });
-
-        // Process messages with priority handling
-        this.client.on('message', (topic, message) => {
-          if (topic.includes('image/display')) {
-            this.handleImageMessage(topic, message);
-          } else if (topic.includes('/config')) {
-            this.handleConfigMessage(topic, message);
-          }
-        });
-
-        // Lower priority handlers
-        this.client.on('error', (err) => this.handleError(err, reject, connectionTimeoutId));
-
-        this.client.on('close', () => {
-          this.isConnected = false;
-          console.log('MQTT connection closed');
-        });
-
-        this.client.on('disconnect', () => {
-          this.isConnected = false;
-          console.log('MQTT client disconnected');
-        });
-
-        this.client.on('offline', () => {
-          this.isConnected = false;
-          console.log('MQTT client is offline');
-        });
-
-        // Very aggressively try to establish connection fast
-        this.client.on('packetsend', (packet) => {
-          if (packet.cmd === 'connect' && !this.isConnected) {
-            // As soon as we send the connect packet, start preparing for subscriptions
-            this.prepareSubscriptions();
-          }
-        });
-
+        brokerUrl = this.getBrokerUrl();
+        options = this.buildConnectOptions();
       } catch (error) {
-        console.error('Error creating MQTT connection:', error);
+        console.error('Error creating MQTT connection:', error.message);
         this.connectionPromise = null;
-        if (globalConnectionPromise === this.connectionPromise) {
-          globalConnectionPromise = null;
-        }
+        this.setState(STATES.OFFLINE);
         resolve(); // Don't block application startup
+        return;
       }
+
+      const startupTimer = setTimeout(() => {
+        console.warn('MQTT connection taking longer than expected - proceeding with application startup');
+        resolve();
+      }, STARTUP_TIMEOUT_MS);
+      this.once('connected', () => {
+        clearTimeout(startupTimer);
+        resolve();
+      });
+
+      console.log(`Connecting to MQTT broker at ${brokerUrl}`);
+      this.setState(STATES.CONNECTING);
+      this.client = mqtt.connect(brokerUrl, options);
+      this.attachClientHandlers();
     });
 
     return this.connectionPromise;
   }
 
   /**
-   * Prepare subscription data structures before actual connection
+   * Options for mqtt.connect. Automatic reconnects and resubscription of
+   * mqtt.js are disabled; this class handles both. The port is part of the
+   * broker URL (see getBrokerUrl).
+   * @returns {Object} Connect options
+   * @private
    */
-  prepareSubscriptions() {
-    // Pre-compute topic paths
-    this.imageDisplayTopic = config.mqtt.topics.imageDisplay;
-    this.configTopic = `device/${config.device.id}/config`;
+  buildConnectOptions() {
+    return {
+      ...config.mqtt.options,
+      ...this.buildTlsOptions(),
+      connectTimeout: 3000,          // Fail fast, the backoff handles retries
+      reconnectPeriod: 0,            // Reconnects are scheduled by scheduleReconnect()
+      resubscribe: false,            // Subscriptions are renewed in handleConnect()
+      clean: true,                   // Clean session for fresh start
+      keepalive: 60,                 // Standard keepalive
+      protocolVersion: 5,            // Use MQTT 5.0 if supported
+      properties: {
+        requestResponseInformation: true,
+        requestProblemInformation: true
+      },
+      sessionExpiryInterval: 0,
+      // Broker publishes a retained offline status if we drop off unexpectedly
+      will: {
+        topic: this.getStatusTopic(),
+        payload: JSON.stringify(this.buildStatusPayload('offline')),
+        qos: 1,
+        retain: true
+      }
+    };
   }
 
   /**
-   * Subscribe to topics with aggressive parallel execution
+   * Wire the mqtt.js client events to the connection lifecycle
+   * @private
    */
-  subscribeToTopicsFast() {
-    console.log('Fast subscribing to MQTT topics');
-    this.prepareSubscriptions();
+  attachClientHandlers() {
+    this.client.on('connect', () => this.handleConnect());
 
-    // Subscribe to both topics in parallel for speed
-    const imagePromise = new Promise(resolve => {
-      if (!this.topicsSubscribed.has(this.imageDisplayTopic)) {
-        this.client.subscribe(this.imageDisplayTopic, { qos: 1 }, (err) => {
-          if (err) {
-            console.error('Error subscribing to image topic:', err);
-          } else {
-            console.log(`Subscribed to image topic: ${this.imageDisplayTopic}`);
-            this.topicsSubscribed.add(this.imageDisplayTopic);
-          }
-          resolve();
-        });
-      } else {
-        resolve();
+    this.client.on('message', (topic, message, packet) => {
+      if (topic.includes('/image/transfer/')) {
+        this.handleChunkMessage(topic, message, packet);
+      } else if (topic.includes('image/display')) {
+        this.handleImageMessage(topic, message, packet);
+      } else if (topic.endsWith('/command')) {
+        this.handleCommandMessage(topic, message, packet);
+      } else if (topic.includes('/config')) {
+        this.handleConfigMessage(topic, message, packet);
       }
     });
 
-    const configPromise = new Promise(resolve => {
-      if (!this.topicsSubscribed.has(this.configTopic)) {
-        this.client.subscribe(this.configTopic, { qos: 0 }, (err) => {
-          if (err) {
-            console.error('Error subscribing to config topic:', err);
-          } else {
-            console.log(`Subscribed to config topic: ${this.configTopic}`);
-            this.topicsSubscribed.add(this.configTopic);
-          }
-          resolve();
-        });
-      } else {
-        resolve();
+    this.client.on('error', (err) => this.handleError(err));
+    this.client.on('close', () => this.handleClose());
+  }
+
+  /**
+   * Handle a (re)established connection: renew subscriptions, announce
+   * the device and notify the application
+   */
+  handleConnect() {
+    console.log('Connected to MQTT broker - ready for image messages');
+    this.reconnectAttempts = 0;
+    this.topicsSubscribed.clear();
+    this.setState(STATES.CONNECTED);
+
+    this.subscribeToTopics();
+
+    // Announce that this frame is alive
+    this.publishStatus('online');
+
+    this.emit('connected');
+
+    // Notify any connection state listeners
+    if (this.messageHandler && this.messageHandler.onMqttConnected) {
+      setImmediate(() => this.messageHandler.onMqttConnected());
+    }
+  }
+
+  /**
+   * Handle a closed connection (dropped, refused or failed handshake)
+   */
+  handleClose() {
+    this.topicsSubscribed.clear();
+
+    if (this.closing) {
+      this.setState(STATES.OFFLINE);
+      return;
+    }
+
+    if (this.state === STATES.CONNECTED) {
+      console.log('Connection to MQTT broker lost');
+      this.emit('disconnected');
+    }
+
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Handle MQTT client errors. Connection errors are followed by a close
+   * event, which schedules the reconnect.
+   * @param {Error} err - Client error
+   */
+  handleError(err) {
+    console.error('MQTT client error:', err.message);
+
+    // Basic error troubleshooting
+    if (err.message.includes('not authorized') || err.message.includes('Bad username or password')) {
+      console.error('Authentication failed. Check your username and password.');
+    } else if (err.message.includes('ECONNREFUSED') || err.message.includes('connection refused')) {
+      console.error('Connection refused. Check your broker URL and port.');
+    }
+  }
+
+  /**
+   * Delay before the next reconnect: exponential in the number of failed
+   * attempts, capped at the configured maximum, with the upper half
+   * randomized so many frames don't reconnect in lockstep after an outage
+   * @param {number} attempt - Failed attempts so far (0 for the first retry)
+   * @returns {number} Delay in ms
+   */
+  getReconnectDelay(attempt) {
+    const { minDelay, maxDelay } = config.mqtt.reconnect;
+    const ceiling = Math.min(maxDelay, minDelay * Math.pow(2, attempt));
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  /**
+   * Schedule the next reconnect attempt
+   * @private
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.closing) {
+      return;
+    }
+
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+    this.setState(STATES.BACKOFF);
+    console.log(`Reconnecting to MQTT broker in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.closing || !this.client) {
+        return;
       }
-    });
+
+      // Refresh the timestamp of the Last Will for the new session
+      if (this.client.options.will) {
+        this.client.options.will.payload = JSON.stringify(this.buildStatusPayload('offline'));
+      }
+
+      this.setState(STATES.CONNECTING);
+      this.client.reconnect();
+    }, delay);
+  }
+
+  /**
+   * Broker URL for the configured transport. MQTT_BROKER_URL is either a host
+   * name (optionally with :port) completed from MQTT_TRANSPORT, MQTT_BROKER_PORT
+   * and MQTT_WS_PATH, or a full URL whose scheme and path are used as is.
+   * A port written in MQTT_BROKER_URL always wins; otherwise MQTT_BROKER_PORT
+   * applies, and a full URL without either uses the default port of its scheme.
+   * @returns {string} Broker URL with port (e.g. mqtts://broker.example.com:8883 or wss://broker.example.com/mqtt)
+   * @throws {Error} If no broker URL is set or its scheme is not supported
+   */
+  getBrokerUrl() {
+    const { url, transport, port, wsPath } = config.mqtt.broker;
+    if (!url) {
+      throw new Error('MQTT_BROKER_URL is not set');
+    }
+
+    const hasScheme = url.includes('://');
+    const parsed = new URL(hasScheme ? url : `${transport}://${url}`);
+    const scheme = parsed.protocol.slice(0, -1);
+    if (!ConfigSchema.DEFAULT_PORTS[scheme]) {
+      throw new Error(`Unsupported broker URL scheme: ${scheme}`);
+    }
+
+    if (!hasScheme && (scheme === 'ws' || scheme === 'wss')) {
+      parsed.pathname = wsPath.startsWith('/') ? wsPath : `/${wsPath}`;
+    }
+
+    if (!parsed.port) {
+      const portConfigured = config.explain('mqtt.broker.port').source !== 'default';
+      parsed.port = hasScheme && !portConfigured ? ConfigSchema.DEFAULT_PORTS[scheme] : port;
+    }
+
+    return parsed.toString();
+  }
+
+  /**
+   * TLS connection options from the configured CA bundle, client
+   * certificate and verification setting
+   * @returns {Object} Options for mqtt.connect (ca, cert, key, passphrase, rejectUnauthorized)
+   */
+  buildTlsOptions() {
+    const tls = config.mqtt.tls;
+    const options = { rejectUnauthorized: tls.verify };
+
+    if (!tls.verify) {
+      console.warn('WARNING: MQTT broker certificate verification is disabled (MQTT_TLS_VERIFY=false)');
+    }
+
+    if (tls.caPath) {
+      options.ca = fs.readFileSync(tls.caPath);
+    }
+
+    if (tls.certPath || tls.keyPath) {
+      if (!tls.certPath || !tls.keyPath) {
+        throw new Error('Mutual TLS needs both MQTT_TLS_CERT and MQTT_TLS_KEY');
+      }
+      options.cert = fs.readFileSync(tls.certPath);
+      options.key = fs.readFileSync(tls.keyPath);
+      if (tls.keyPassphrase) {
+        options.passphrase = tls.keyPassphrase;
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Subscribe to the image, config, transfer and command topics
+   */
+  subscribeToTopics() {
+    const deviceId = config.device.id;
+    const subscriptions = [
+      this.subscribeTopic(config.mqtt.topics.imageDisplay, 1, 'image'),
+      this.subscribeTopic(`device/${deviceId}/config`, 0, 'config'),
+      this.subscribeTopic(`device/${deviceId}/image/transfer/#`, 1, 'image transfer'),
+      this.subscribeTopic(`device/${deviceId}/command`, 1, 'command'),
+      ...this.getFleetTopics().map(topic => this.subscribeTopic(topic, 1, 'fleet image'))
+    ];
+    this.groupTopics = this.getFleetTopics();
 
     // Fire and forget - don't block on subscriptions
-    Promise.all([imagePromise, configPromise]).catch(e => {
+    Promise.all(subscriptions).catch(e => {
       console.error('Error in topic subscription:', e);
     });
   }
 
   /**
-   * Legacy method for compatibility
+   * Image topics for the configured groups and broadcasts
+   * @returns {string[]} Topics, e.g. group/kitchen/image/display and broadcast/image/display
    */
-  subscribeToTopics() {
-    this.subscribeToTopicsFast();
+  getFleetTopics() {
+    const { groups, broadcast } = config.fleet;
+    const topics = groups.map(name => `group/${name}/image/display`);
+    if (broadcast) {
+      topics.push('broadcast/image/display');
+    }
+    return topics;
   }
 
   /**
-   * Handle successful connection to MQTT broker
+   * Update subscriptions after the group memberships changed
    */
-  handleConnect() {
-    console.log('Connected to MQTT broker - ready for image messages');
-    this.isConnected = true;
+  updateGroupSubscriptions() {
+    const topics = this.getFleetTopics();
+    const removed = this.groupTopics.filter(topic => !topics.includes(topic));
+    this.groupTopics = topics;
 
-    // Notify any connection state listeners
-    if (this.messageHandler.onMqttConnected) {
-      setImmediate(() => this.messageHandler.onMqttConnected());
+    if (!this.client || !this.isConnected) {
+      return;
     }
+
+    if (removed.length > 0) {
+      this.client.unsubscribe(removed, (err) => {
+        if (err) {
+          console.error('Error unsubscribing from group topics:', err.message);
+        } else {
+          console.log(`Unsubscribed from: ${removed.join(', ')}`);
+        }
+      });
+      removed.forEach(topic => this.topicsSubscribed.delete(topic));
+    }
+
+    topics.forEach(topic => this.subscribeTopic(topic, 1, 'fleet image'));
+  }
+
+  /**
+   * Subscribe to a single topic unless already subscribed
+   * @param {string} topic - Topic to subscribe to
+   * @param {number} qos - Subscription QoS
+   * @param {string} label - Name used in log messages
+   * @returns {Promise} Promise that resolves when the subscription completes (or failed)
+   */
+  subscribeTopic(topic, qos, label) {
+    return new Promise(resolve => {
+      if (!topic || this.topicsSubscribed.has(topic)) {
+        resolve();
+        return;
+      }
+
+      this.client.subscribe(topic, { qos }, (err) => {
+        if (err) {
+          console.error(`Error subscribing to ${label} topic:`, err.message);
+        } else {
+          console.log(`Subscribed to ${label} topic: ${topic}`);
+          this.topicsSubscribed.add(topic);
+        }
+        resolve();
+      });
+    });
   }
 
   /**
    * Handle image messages from MQTT with buffering capability
    * @param {string} topic - MQTT topic
-   * @param {Buffer} message - Image data buffer
+   * @param {Buffer} message - Image data or JSON envelope (url, base64 or path)
+   * @param {Object} [packet] - Raw MQTT packet (for MQTT 5 user properties)
    */
-  handleImageMessage(topic, message) {
-    // Filter for correct device
-    const deviceId = this.extractDeviceIdFromTopic(topic);
-    if (deviceId !== config.device.id) return;
+  async handleImageMessage(topic, message, packet) {
+    // Filter for this device, its groups and broadcasts
+    const source = this.resolveImageSource(topic);
+    if (!source) return;
 
     console.log(`Received image message on topic: ${topic}`);
 
-    // Store the message and mark as received for status tracking
-    latestImageBuffer = message;
-    imageReceived = true;
+    if (!this.checkSignature('image', topic, message, packet)) return;
+
+    if (!this.acceptsImageFrom(source)) {
+      const current = this.currentImageSource;
+      const reason = `A ${current.name} image takes precedence`;
+      console.log(`Ignoring ${source.name} image: ${reason}`);
+
+      // Tell the sender the image was dropped on purpose, not lost
+      const receipt = this.createImageReceipt(message, packet);
+      receipt.source = source.name;
+      this.publishImageStatus(receipt, {
+        status: 'ignored',
+        reason,
+        heldUntil: current.at + config.fleet.imageHold * 60 * 1000
+      });
+      return;
+    }
+
+    return this.processImage(message, packet, {}, source);
+  }
+
+  /**
+   * Determine where an image message was addressed
+   * @param {string} topic - MQTT topic
+   * @returns {{name: string, level: number}|null} Source (device, group:<name> or broadcast), or null if not for this device
+   */
+  resolveImageSource(topic) {
+    const parts = topic.split('/');
+
+    if (parts[0] === 'broadcast' && config.fleet.broadcast) {
+      return { name: 'broadcast', level: IMAGE_PRECEDENCE.broadcast };
+    }
+    if (parts[0] === 'group' && config.fleet.groups.includes(parts[1])) {
+      return { name: `group:${parts[1]}`, level: IMAGE_PRECEDENCE.group };
+    }
+    if (parts[0] === 'device' && parts[1] === config.device.id) {
+      return { name: 'device', level: IMAGE_PRECEDENCE.device };
+    }
+    return null;
+  }
+
+  /**
+   * Precedence rule: an image may replace the current one if it comes from an
+   * equally or more specific source, or once the current image is older
+   * than the hold time (DEVICE_IMAGE_HOLD minutes)
+   * @param {{name: string, level: number}} source - Source of the new image
+   * @returns {boolean} True if the image should be displayed
+   */
+  acceptsImageFrom(source) {
+    const current = this.currentImageSource;
+    if (!current || source.level >= current.level) {
+      return true;
+    }
+    return Date.now() - current.at >= config.fleet.imageHold * 60 * 1000;
+  }
+
+  /**
+   * Decode an authenticated image payload and pass it to the application
+   * @param {Buffer} message - Image data or JSON envelope (url, base64 or path)
+   * @param {Object} [packet] - Raw MQTT packet (for MQTT 5 user properties)
+   * @param {Object} [baseOptions] - Display options from a chunked transfer manifest
+   * @param {{name: string, level: number}} [source] - Where the image was addressed (defaults to this device)
+   */
+  async processImage(message, packet, baseOptions = {}, source = { name: 'device', level: IMAGE_PRECEDENCE.device }) {
+    // Downloads can finish out of order; only the newest message gets displayed
+    const sequence = ++this.imageSequence;
+
+    // Identifies this delivery in the display receipt
+    const receipt = this.createImageReceipt(message, packet);
+    receipt.source = source.name;
+
+    let image;
+    try {
+      image = await ImagePayload.decode(message);
+    } catch (error) {
+      console.error('Error decoding image message:', error.message);
+      this.publishImageStatus(receipt, { status: 'failed', error: error.message });
+      return;
+    }
+
+    if (sequence !== this.imageSequence) {
+      console.log('Discarding image superseded by a newer message');
+      this.publishImageStatus(receipt, { status: 'superseded' });
+      return;
+    }
+
+    this.currentImageSource = { ...source, at: Date.now() };
+
+    // Envelope options take precedence over MQTT 5 user properties
+    const options = { ...this.extractImageOptions(packet), ...baseOptions, ...image.options };
 
     // Pass to the message handler if available
     if (this.messageHandler && this.messageHandler.handleImageMessage) {
-      this.messageHandler.handleImageMessage(message);
+      this.messageHandler.handleImageMessage(image.data, options, receipt);
     }
   }
 
   /**
-   * Handle config messages from MQTT
+   * Handle one part of a chunked image transfer. Topics are
+   * device/<id>/image/transfer/<transferId>/manifest for the JSON manifest
+   * and device/<id>/image/transfer/<transferId>/<n> for chunk n (from 0).
+   * Once all chunks arrived and the SHA-256 matches, the image is handled
+   * like one sent on the image topic.
    * @param {string} topic - MQTT topic
-   * @param {Buffer} message - Config data buffer
+   * @param {Buffer} message - Manifest or chunk payload
+   * @param {Object} [packet] - Raw MQTT packet
    */
-  handleConfigMessage(topic, message) {
-    // Filter for correct device
+  handleChunkMessage(topic, message, packet) {
     const deviceId = this.extractDeviceIdFromTopic(topic);
     if (deviceId !== config.device.id) return;
 
-    console.log(`Received config message on topic: ${topic}`);
+    const parts = topic.split('/');
+    if (parts.length !== 6) {
+      console.warn(`Ignoring message on malformed transfer topic: ${topic}`);
+      return;
+    }
+    const transferId = parts[4];
+    const part = parts[5];
 
-    // Pass to the message handler if available
-    if (this.messageHandler && this.messageHandler.handleConfigMessage) {
-      this.messageHandler.handleConfigMessage(message);
+    let manifest = null;
+    let result;
+    try {
+      if (part === 'manifest') {
+        try {
+          manifest = JSON.parse(message.toString('utf8'));
+        } catch (error) {
+          throw new Error(`Invalid transfer manifest: ${error.message}`);
+        }
+        if (!this.checkSignature('transfer', topic, message, packet)) return;
+        console.log(`Image transfer ${transferId} started: ${manifest.chunks} chunks, ${manifest.size} bytes`);
+        result = this.chunkAssembler.addManifest(transferId, manifest, packet);
+      } else {
+        result = this.chunkAssembler.addChunk(transferId, /^\d+$/.test(part) ? Number(part) : NaN, message);
+      }
+    } catch (error) {
+      console.error(`Error in image transfer ${transferId}:`, error.message);
+      // Report against the manifest so the backend can match the failure
+      const pending = this.chunkAssembler.describe(transferId);
+      this.chunkAssembler.discard(transferId);
+      this.publishTransferFailure(
+        (pending && pending.manifest) || manifest,
+        (pending && pending.packet) || packet,
+        error.message
+      );
+      return;
+    }
+
+    if (result) {
+      console.log(`Image transfer ${transferId} complete (${result.data.length} bytes, checksum verified)`);
+      this.processImage(result.data, result.packet, ImagePayload.pickOptions(result.manifest));
     }
   }
 
   /**
-   * Handle high-priority messages (image messages) with optimized processing
+   * Report a failed chunked transfer on the image status topic
+   * @param {Object|null} manifest - Manifest of the transfer, if it arrived
+   * @param {Object} [packet] - Raw MQTT packet (for MQTT 5 correlation data)
+   * @param {string} error - Failure reason
    */
-  handlePriorityMessage(topic, message) {
-    // Process immediately with highest priority
-    const deviceId = this.extractDeviceIdFromTopic(topic);
-    if (deviceId !== config.device.id) return;
+  publishTransferFailure(manifest, packet, error) {
+    const properties = (packet && packet.properties) || {};
+    const receipt = {
+      hash: manifest && typeof manifest.sha256 === 'string' ? manifest.sha256.toLowerCase() : null,
+      correlationData: properties.correlationData || null,
+      receivedAt: Date.now()
+    };
+    this.publishImageStatus(receipt, { status: 'failed', error });
+  }
+
+  /**
+   * Verify the signature of a payload and report rejected messages on
+   * device/<id>/security/status
+   * @param {string} kind - Message kind (image, transfer, config, command)
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} message - Raw payload
+   * @param {Object} [packet] - Raw MQTT packet carrying the signature
+   * @returns {boolean} True if the message may be processed
+   */
+  checkSignature(kind, topic, message, packet) {
+    const { valid, reason } = PayloadVerifier.verify(kind, message, packet);
+    if (valid) {
+      return true;
+    }
 
-    console.log(`Received high-priority image message - processing immediately`);
+    console.warn(`Rejected ${kind} message on ${topic}: ${reason}`);
 
-    // Direct call to image handler for fastest processing
-    if (this.messageHandler.handleImageMessage) {
-      // Execute at max priority
-      this.messageHandler.handleImageMessage(message);
+    if (this.client && this.isConnected) {
+      const properties = (packet && packet.properties) || {};
+      const payload = {
+        status: 'rejected',
+        kind,
+        topic,
+        reason,
+        hash: crypto.createHash('sha256').update(message).digest('hex'),
+        correlationId: properties.correlationData ? properties.correlationData.toString() : null,
+        timestamp: Date.now()
+      };
+      this.client.publish(`device/${config.device.id}/security/status`, JSON.stringify(payload), { qos: 1 }, (err) => {
+        if (err) {
+          console.error('Error publishing security status:', err.message);
+        }
+      });
     }
+
+    return false;
   }
 
   /**
-   * Handle normal priority messages (config, etc.)
+   * Create the receipt context for an image message
+   * @param {Buffer} message - Raw MQTT payload
+   * @param {Object} [packet] - Raw MQTT packet (for MQTT 5 correlation data)
+   * @returns {{hash: string, correlationData: Buffer|null, receivedAt: number}} Receipt context
    */
-  handleNormalMessage(topic, message) {
-    try {
-      const deviceId = this.extractDeviceIdFromTopic(topic);
-      if (deviceId !== config.device.id) return;
-
-      if (topic.includes('/config')) {
-        console.log(`Received config message`);
-        // Process config in next tick to prioritize image processing
-        setImmediate(() => {
-          if (this.messageHandler.handleConfigMessage) {
-            this.messageHandler.handleConfigMessage(message);
-          }
-        });
+  createImageReceipt(message, packet) {
+    const properties = (packet && packet.properties) || {};
+    return {
+      hash: crypto.createHash('sha256').update(message).digest('hex'),
+      correlationData: properties.correlationData || null,
+      receivedAt: Date.now()
+    };
+  }
+
+  /**
+   * Publish a display receipt to device/<id>/image/status
+   * @param {Object} receipt - Receipt context from createImageReceipt
+   * @param {Object} result - Outcome: status ('displayed', 'failed', 'ignored', 'queued' or 'superseded'), renderMs,
+   *   width, height, error, reason
+   */
+  publishImageStatus(receipt, result) {
+    if (!this.client || !this.isConnected || !receipt) {
+      return;
+    }
+
+    const topic = `device/${config.device.id}/image/status`;
+    const payload = {
+      hash: receipt.hash,
+      correlationId: receipt.correlationData ? receipt.correlationData.toString() : null,
+      source: receipt.source || 'device',
+      receivedAt: receipt.receivedAt,
+      timestamp: Date.now(),
+      ...result
+    };
+
+    const options = { qos: 1 };
+    if (receipt.correlationData) {
+      options.properties = { correlationData: receipt.correlationData };
+    }
+
+    this.client.publish(topic, JSON.stringify(payload), options, (err) => {
+      if (err) {
+        console.error('Error publishing image status:', err.message);
+      } else {
+        console.log(`Published image status (${payload.status}) to ${topic}`);
       }
-    } catch (error) {
-      console.error('Error processing message:', error);
+    });
+  }
+
+  /**
+   * Extract per-image display options from MQTT 5 user properties
+   * @param {Object} [packet] - Raw MQTT packet
+   * @returns {Object} Display options (e.g. { waveform: 'DU', fit: 'cover' })
+   */
+  extractImageOptions(packet) {
+    const options = {};
+    const userProperties = packet && packet.properties && packet.properties.userProperties;
+    if (!userProperties) {
+      return options;
     }
+
+    for (const key of ['waveform', 'fit', 'rotation', 'background', 'caption']) {
+      // User properties may be repeated, in which case mqtt.js gives an array
+      const value = Array.isArray(userProperties[key])
+        ? userProperties[key][0]
+        : userProperties[key];
+      if (value) {
+        options[key] = String(value);
+      }
+    }
+
+    return options;
   }
 
   /**
-   * Handle MQTT client errors with connection recovery
+   * Handle config messages from MQTT
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} message - Config data buffer
+   * @param {Object} [packet] - Raw MQTT packet (for the signature)
    */
-  handleError(err, reject, connectionTimeoutId) {
-    console.error('MQTT client error:', err.message);
+  handleConfigMessage(topic, message, packet) {
+    // Filter for correct device
+    const deviceId = this.extractDeviceIdFromTopic(topic);
+    if (deviceId !== config.device.id) return;
+
+    console.log(`Received config message on topic: ${topic}`);
 
-    // Clear connection timeout if it exists
-    if (connectionTimeoutId) clearTimeout(connectionTimeoutId);
+    if (!this.checkSignature('config', topic, message, packet)) return;
 
-    // Don't reject - let the app continue without MQTT if needed
-    if (reject) {
-      console.warn('Continuing application despite MQTT connection error');
+    // Pass to the message handler if available and report the outcome
+    if (this.messageHandler && this.messageHandler.handleConfigMessage) {
+      const result = this.messageHandler.handleConfigMessage(message);
+      if (result) {
+        this.publishConfigStatus(result, packet);
+      }
     }
+  }
 
-    // Basic error troubleshooting
-    if (err.message.includes('not authorized')) {
-      console.error('Authentication failed. Check your username and password.');
-    } else if (err.message.includes('connection refused')) {
-      console.error('Connection refused. Check your broker URL and port.');
+  /**
+   * Publish the outcome of a config message, or a confirmation or rollback
+   * of a config version, to device/<id>/config/status
+   * @param {Object} result - status ('applied', 'partial', 'ignored', 'rejected', 'failed', 'confirmed' or
+   *   'rolled-back') and details
+   * @param {Object} [packet] - Raw MQTT packet of the config message (for MQTT 5 correlation data)
+   */
+  publishConfigStatus(result, packet) {
+    const properties = (packet && packet.properties) || {};
+    const payload = {
+      ...result,
+      correlationId: properties.correlationData ? properties.correlationData.toString() : null,
+      timestamp: Date.now()
+    };
+
+    const options = { qos: 1 };
+    if (properties.correlationData) {
+      options.properties = { correlationData: properties.correlationData };
     }
+
+    this.publish(`device/${config.device.id}/config/status`, JSON.stringify(payload), options).then((sent) => {
+      if (sent) {
+        console.log(`Published config status (${result.status})`);
+      }
+    });
   }
 
   /**
-   * Handle MQTT connection close
+   * Handle remote command messages. The payload is either a plain command
+   * name or JSON `{"command": "...", "args": {...}}`. The reply goes to the
+   * MQTT 5 response topic (or device/<id>/command/response) with the
+   * request's correlation data.
+   * @param {string} topic - MQTT topic
+   * @param {Buffer} message - Command payload
+   * @param {Object} [packet] - Raw MQTT packet (for response topic and correlation data)
    */
-  handleClose() {
-    this.isConnected = false;
-    console.log('Connection to MQTT broker closed');
+  async handleCommandMessage(topic, message, packet) {
+    const deviceId = this.extractDeviceIdFromTopic(topic);
+    if (deviceId !== config.device.id) return;
+
+    const properties = (packet && packet.properties) || {};
+    const responseTopic = properties.responseTopic || `device/${config.device.id}/command/response`;
+
+    // No reply to the sender's response topic: rejections are only reported on the security status topic
+    if (!this.checkSignature('command', topic, message, packet)) return;
+
+    let command = null;
+    let args = {};
+    const text = message.toString('utf8').trim();
+    try {
+      if (text.startsWith('{')) {
+        const parsed = JSON.parse(text);
+        command = parsed.command;
+        args = parsed.args || {};
+      } else {
+        command = text;
+      }
+    } catch (error) {
+      console.error('Invalid command payload:', error.message);
+    }
+
+    let response;
+    if (typeof command !== 'string' || !command) {
+      response = { ok: false, command: null, error: 'Invalid command payload' };
+    } else if (!config.commands.allowed.includes(command)) {
+      console.warn(`Rejected command not in allowlist: ${command}`);
+      response = { ok: false, command, error: `Command not allowed: ${command}` };
+    } else if (!this.messageHandler || !this.messageHandler.handleCommand) {
+      response = { ok: false, command, error: 'Commands are not supported' };
+    } else {
+      console.log(`Executing remote command: ${command}`);
+      try {
+        const result = await this.messageHandler.handleCommand(command, args);
+        response = { ok: true, command, result: result === undefined ? null : result };
+      } catch (error) {
+        console.error(`Error executing command ${command}:`, error.message);
+        response = { ok: false, command, error: error.message };
+      }
+    }
+
+    this.publishCommandResponse(responseTopic, properties.correlationData, response);
   }
 
   /**
-   * Handle MQTT reconnection attempts
+   * Publish a command response
+   * @param {string} responseTopic - Topic to reply on
+   * @param {Buffer} [correlationData] - Correlation data of the request
+   * @param {Object} response - Response payload
    */
-  handleReconnect() {
-    if (!this.reconnecting) {
-      this.reconnecting = true;
-      console.log('Attempting to reconnect to MQTT broker');
+  publishCommandResponse(responseTopic, correlationData, response) {
+    if (!this.client || !this.isConnected) {
+      return;
+    }
+
+    const options = { qos: 1 };
+    if (correlationData) {
+      options.properties = { correlationData };
     }
+
+    const payload = { ...response, deviceId: config.device.id, timestamp: Date.now() };
+    this.client.publish(responseTopic, JSON.stringify(payload), options, (err) => {
+      if (err) {
+        console.error('Error publishing command response:', err.message);
+      }
+    });
   }
 
   /**
@@ -388,46 +902,139 @@ class MQTTClient {
   }
 
   /**
-   * Check if we have received an image since startup
-   * @returns {boolean} True if an image has been received
+   * Get the device status topic for this device
+   * @returns {string} Status topic, e.g. device/<id>/status/online
    */
-  hasReceivedImage() {
-    return imageReceived;
+  getStatusTopic() {
+    const pattern = config.mqtt.topics.deviceStatus || 'device/+/status/online';
+    return pattern.replace('+', config.device.id);
   }
 
   /**
-   * Get the latest image buffer if available
-   * @returns {Buffer|null} The latest image buffer or null if none received
+   * Build a device status payload
+   * @param {string} status - 'online' or 'offline'
+   * @returns {Object} Status payload
    */
-  getLatestImage() {
-    return latestImageBuffer;
+  buildStatusPayload(status) {
+    if (status !== 'online') {
+      return { status, timestamp: Date.now() };
+    }
+
+    // Panel info is provided by the application once the display is ready
+    const info = this.messageHandler && this.messageHandler.getStatusInfo
+      ? this.messageHandler.getStatusInfo()
+      : {};
+
+    return {
+      status,
+      timestamp: Date.now(),
+      version,
+      ip: this.getLocalIpAddress(),
+      uptime: {
+        process: Math.round(process.uptime()),
+        system: Math.round(os.uptime())
+      },
+      ...info
+    };
   }
 
   /**
-   * Clear the latest image buffer
+   * Get the first external IPv4 address of this device
+   * @returns {string|null} IP address or null if none found
    */
-  clearLatestImage() {
-    latestImageBuffer = null;
+  getLocalIpAddress() {
+    const interfaces = os.networkInterfaces();
+    for (const name of Object.keys(interfaces)) {
+      for (const address of interfaces[name]) {
+        if (address.family === 'IPv4' && !address.internal) {
+          return address.address;
+        }
+      }
+    }
+    return null;
   }
 
   /**
-   * Close the MQTT client connection
-   * @returns {Promise} Promise that resolves when the client is closed
+   * Publish a retained device status message
+   * @param {string} status - 'online' or 'offline'
+   * @returns {Promise} Promise that resolves when the message is sent (or failed)
    */
-  disconnect() {
+  publishStatus(status) {
     return new Promise((resolve) => {
-      if (this.client && this.isConnected) {
-        this.client.end(true, () => {
-          console.log('MQTT client disconnected');
-          this.isConnected = false;
-          this.connectionPromise = null;
-          resolve();
-        });
-      } else {
+      if (!this.client || !this.isConnected) {
         resolve();
+        return;
+      }
+
+      const topic = this.getStatusTopic();
+      const payload = JSON.stringify(this.buildStatusPayload(status));
+      this.client.publish(topic, payload, { qos: 1, retain: true }, (err) => {
+        if (err) {
+          console.error(`Error publishing ${status} status:`, err.message);
+        } else {
+          console.log(`Published ${status} status to ${topic}`);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Publish a message if connected
+   * @param {string} topic - Topic to publish to
+   * @param {string|Buffer} payload - Message payload
+   * @param {Object} [options] - Publish options (qos, retain, properties)
+   * @returns {Promise<boolean>} True if the message was sent
+   */
+  publish(topic, payload, options = {}) {
+    return new Promise((resolve) => {
+      if (!this.client || !this.isConnected) {
+        resolve(false);
+        return;
       }
+
+      this.client.publish(topic, payload, options, (err) => {
+        if (err) {
+          console.error(`Error publishing to ${topic}:`, err.message);
+        }
+        resolve(!err);
+      });
     });
   }
+
+  /**
+   * Close the connection: stop reconnecting, publish the offline status and
+   * send a clean DISCONNECT so the broker discards the Last Will
+   * @returns {Promise} Promise that resolves when the client is closed
+   */
+  async close() {
+    this.closing = true;
+    this.chunkAssembler.clear();
+    config.off('change', this.onConfigChange);
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.client) {
+      // Tell the backend we're going away before closing the connection
+      await Promise.race([
+        this.publishStatus('offline'),
+        new Promise(resolve => setTimeout(resolve, 2000))
+      ]);
+
+      await new Promise((resolve) => {
+        this.client.end(false, () => resolve());
+      });
+      console.log('MQTT client closed');
+    }
+
+    this.client = null;
+    this.connectionPromise = null;
+    this.setState(STATES.OFFLINE);
+    this.emit('closed');
+  }
 }
 
 module.exports = MQTTClient;
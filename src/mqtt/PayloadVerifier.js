@@ -0,0 +1,169 @@
+/**
+ * PayloadVerifier - Checks signatures of image, config and command payloads
+ * The signature travels in the MQTT 5 user property `signature` (base64) and
+ * covers the message kind, a newline and the raw payload, e.g.
+ * "image\n<bytes>", so a payload signed for one topic can't be replayed on
+ * another. Config and command messages change the device, so their
+ * signature also covers the `timestamp` (ms since epoch) and `nonce` user
+ * properties: "config\n<timestamp>\n<nonce>\n{...}". They are rejected
+ * outside the SIGNATURE_MAX_AGE window and when the nonce was seen before.
+ * Images are exempt, so retained images are still shown after a restart.
+ * Chunked transfers are authenticated through their signed manifest, which
+ * carries the SHA-256 of the image.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config/ConfigManager');
+
+// Message kinds whose signatures must be fresh and used only once
+const FRESH_KINDS = ['config', 'command'];
+
+class PayloadVerifier {
+  /**
+   * Bytes covered by the signature of a payload
+   * @param {string} kind - Message kind (image, transfer, config, command)
+   * @param {Buffer} payload - Raw MQTT payload
+   * @param {string} [timestamp] - Signed timestamp (config and command)
+   * @param {string} [nonce] - Signed nonce (config and command)
+   * @returns {Buffer} Signed data
+   */
+  static signedData(kind, payload, timestamp, nonce) {
+    const header = FRESH_KINDS.includes(kind) ? `${kind}\n${timestamp}\n${nonce}\n` : `${kind}\n`;
+    return Buffer.concat([Buffer.from(header, 'utf8'), payload]);
+  }
+
+  /**
+   * Verify the signature of a payload
+   * @param {string} kind - Message kind (image, transfer, config, command)
+   * @param {Buffer} payload - Raw MQTT payload
+   * @param {Object} [packet] - Raw MQTT packet carrying the `signature` (and `timestamp`, `nonce`) user properties
+   * @returns {{valid: boolean, reason: string|null}} Verification result
+   */
+  static verify(kind, payload, packet) {
+    const { signatureMode } = config.security;
+    if (signatureMode === 'none') {
+      return { valid: true, reason: null };
+    }
+    if (signatureMode !== 'hmac' && signatureMode !== 'ed25519') {
+      return { valid: false, reason: 'Unsupported SIGNATURE_MODE' };
+    }
+
+    const userProperties = (packet && packet.properties && packet.properties.userProperties) || {};
+    const property = name => (Array.isArray(userProperties[name]) ? userProperties[name][0] : userProperties[name]);
+    const value = property('signature');
+    if (!value) {
+      return { valid: false, reason: 'Missing signature' };
+    }
+
+    const fresh = FRESH_KINDS.includes(kind);
+    const timestamp = fresh ? property('timestamp') : undefined;
+    const nonce = fresh ? property('nonce') : undefined;
+    if (fresh && (!timestamp || !nonce)) {
+      return { valid: false, reason: 'Missing signature timestamp or nonce' };
+    }
+
+    const signature = Buffer.from(String(value), 'base64');
+    const data = PayloadVerifier.signedData(kind, payload, timestamp, nonce);
+
+    try {
+      const valid = signatureMode === 'hmac'
+        ? PayloadVerifier.verifyHmac(data, signature)
+        : PayloadVerifier.verifyEd25519(data, signature);
+      if (!valid) {
+        return { valid: false, reason: 'Invalid signature' };
+      }
+    } catch (error) {
+      return { valid: false, reason: error.message };
+    }
+
+    // Only a valid signature may use up a nonce
+    return fresh ? PayloadVerifier.checkFreshness(String(timestamp), String(nonce)) : { valid: true, reason: null };
+  }
+
+  /**
+   * Reject signed messages outside the allowed time window or with a nonce
+   * seen before. A nonce is remembered until its timestamp leaves the
+   * window; after that the timestamp check rejects a replay.
+   * @param {string} timestamp - Signed timestamp (ms since epoch)
+   * @param {string} nonce - Signed nonce
+   * @param {number} [now] - Current timestamp in ms
+   * @returns {{valid: boolean, reason: string|null}} Verification result
+   * @private
+   */
+  static checkFreshness(timestamp, nonce, now = Date.now()) {
+    const maxAgeMs = config.security.maxAge * 1000;
+    const time = /^\d+$/.test(timestamp) ? parseInt(timestamp, 10) : NaN;
+    if (!Number.isFinite(time) || Math.abs(now - time) > maxAgeMs) {
+      return { valid: false, reason: 'Signature timestamp outside the allowed window' };
+    }
+
+    for (const [seen, expiresAt] of PayloadVerifier.seenNonces) {
+      if (expiresAt < now) {
+        PayloadVerifier.seenNonces.delete(seen);
+      }
+    }
+
+    if (PayloadVerifier.seenNonces.has(nonce)) {
+      return { valid: false, reason: 'Replayed nonce' };
+    }
+    PayloadVerifier.seenNonces.set(nonce, time + maxAgeMs);
+
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Verify an HMAC-SHA256 signature with the shared secret
+   * @param {Buffer} data - Signed data
+   * @param {Buffer} signature - Received signature
+   * @returns {boolean} True if the signature matches
+   * @private
+   */
+  static verifyHmac(data, signature) {
+    const secret = config.security.hmacSecret;
+    if (!secret) {
+      throw new Error('No HMAC secret configured (SIGNATURE_HMAC_SECRET)');
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(data).digest();
+    return signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+  }
+
+  /**
+   * Verify an Ed25519 signature with the configured public key
+   * @param {Buffer} data - Signed data
+   * @param {Buffer} signature - Received signature
+   * @returns {boolean} True if the signature is valid
+   * @private
+   */
+  static verifyEd25519(data, signature) {
+    return crypto.verify(null, data, PayloadVerifier.getPublicKey(), signature);
+  }
+
+  /**
+   * Load the Ed25519 public key (PEM), cached after the first use
+   * @returns {crypto.KeyObject} Public key
+   * @private
+   */
+  static getPublicKey() {
+    if (!PayloadVerifier.publicKey) {
+      const keyPath = config.security.publicKeyPath;
+      if (!keyPath) {
+        throw new Error('No Ed25519 public key configured (SIGNATURE_PUBLIC_KEY)');
+      }
+
+      const key = crypto.createPublicKey(fs.readFileSync(keyPath));
+      if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`Signature public key is ${key.asymmetricKeyType}, expected ed25519`);
+      }
+      PayloadVerifier.publicKey = key;
+    }
+    return PayloadVerifier.publicKey;
+  }
+}
+
+PayloadVerifier.publicKey = null;
+
+// Nonces of accepted config and command messages, with the time they can be forgotten
+PayloadVerifier.seenNonces = new Map();
+
+module.exports = PayloadVerifier;
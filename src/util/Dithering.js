@@ -0,0 +1,165 @@
+/**
+ * Dithering utility for reducing 8-bit grayscale images to the limited
+ * number of gray levels supported by e-ink panels
+ */
+
+// Supported dithering methods
+const METHODS = ['floyd-steinberg', 'atkinson', 'bayer', 'none'];
+
+// 4x4 Bayer threshold matrix used for ordered dithering
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+class Dithering {
+  /**
+   * List of supported dithering method names
+   * @returns {string[]} Method names
+   */
+  static get METHODS() {
+    return METHODS;
+  }
+
+  /**
+   * Check if a dithering method is supported
+   * @param {string} method - Method name
+   * @returns {boolean} True if the method is supported
+   */
+  static isSupported(method) {
+    return METHODS.includes(method);
+  }
+
+  /**
+   * Dither an 8-bit grayscale buffer down to the given number of levels.
+   * The output is still one byte per pixel, but every value lies exactly on
+   * one of the quantized levels so it survives packing without banding.
+   * @param {Buffer} input - 8-bit grayscale buffer (width * height bytes)
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {string} method - Dithering method (floyd-steinberg, atkinson, bayer, none)
+   * @param {number} levels - Number of output gray levels (e.g. 16 for 4bpp)
+   * @returns {Buffer} - Dithered 8-bit grayscale buffer
+   */
+  static apply(input, width, height, method = 'floyd-steinberg', levels = 16) {
+    switch (method) {
+      case 'floyd-steinberg':
+        return Dithering.errorDiffusion(input, width, height, levels, [
+          [1, 0, 7 / 16],
+          [-1, 1, 3 / 16],
+          [0, 1, 5 / 16],
+          [1, 1, 1 / 16]
+        ]);
+      case 'atkinson':
+        // Atkinson only diffuses 6/8 of the error, which keeps contrast high
+        return Dithering.errorDiffusion(input, width, height, levels, [
+          [1, 0, 1 / 8],
+          [2, 0, 1 / 8],
+          [-1, 1, 1 / 8],
+          [0, 1, 1 / 8],
+          [1, 1, 1 / 8],
+          [0, 2, 1 / 8]
+        ]);
+      case 'bayer':
+        return Dithering.ordered(input, width, height, levels);
+      case 'none':
+        return Dithering.quantize(input, levels);
+      default:
+        throw new Error(`Unsupported dithering method: ${method}`);
+    }
+  }
+
+  /**
+   * Map an 8-bit value to the nearest of the given number of levels
+   * @param {number} value - Input value (may be outside 0-255)
+   * @param {number} levels - Number of output levels
+   * @returns {number} - Quantized 8-bit value
+   * @private
+   */
+  static _nearestLevel(value, levels) {
+    const maxLevel = levels - 1;
+    let level = Math.round((value * maxLevel) / 255);
+    if (level < 0) level = 0;
+    if (level > maxLevel) level = maxLevel;
+    return Math.round((level * 255) / maxLevel);
+  }
+
+  /**
+   * Quantize without dithering (nearest level per pixel)
+   * @param {Buffer} input - 8-bit grayscale buffer
+   * @param {number} levels - Number of output levels
+   * @returns {Buffer} - Quantized buffer
+   */
+  static quantize(input, levels) {
+    const output = Buffer.alloc(input.length);
+    for (let i = 0; i < input.length; i++) {
+      output[i] = Dithering._nearestLevel(input[i], levels);
+    }
+    return output;
+  }
+
+  /**
+   * Generic error-diffusion dithering
+   * @param {Buffer} input - 8-bit grayscale buffer
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} levels - Number of output levels
+   * @param {Array<Array<number>>} kernel - List of [dx, dy, weight] entries
+   * @returns {Buffer} - Dithered buffer
+   */
+  static errorDiffusion(input, width, height, levels, kernel) {
+    const work = new Float32Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+      work[i] = input[i];
+    }
+
+    const output = Buffer.alloc(input.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        const oldValue = work[index];
+        const newValue = Dithering._nearestLevel(oldValue, levels);
+        output[index] = newValue;
+
+        const error = oldValue - newValue;
+        if (error === 0) continue;
+
+        for (const [dx, dy, weight] of kernel) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx >= 0 && nx < width && ny < height) {
+            work[ny * width + nx] += error * weight;
+          }
+        }
+      }
+    }
+    return output;
+  }
+
+  /**
+   * Ordered dithering using a 4x4 Bayer matrix
+   * @param {Buffer} input - 8-bit grayscale buffer
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} levels - Number of output levels
+   * @returns {Buffer} - Dithered buffer
+   */
+  static ordered(input, width, height, levels) {
+    const output = Buffer.alloc(input.length);
+    const step = 255 / (levels - 1);
+    for (let y = 0; y < height; y++) {
+      const row = BAYER_4X4[y & 3];
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        // Offset in the range (-0.5, 0.5) of one quantization step
+        const threshold = (row[x & 3] + 0.5) / 16 - 0.5;
+        output[index] = Dithering._nearestLevel(input[index] + threshold * step, levels);
+      }
+    }
+    return output;
+  }
+}
+
+module.exports = Dithering;
@@ -0,0 +1,241 @@
+/**
+ * Utility for downloading images by URL with timeouts, size limits and ETag caching
+ * Redirects may not downgrade https to http, and cache headers are only sent to
+ * the origin of the requested URL. The cache is capped at image.cacheMaxBytes;
+ * the least recently used entries are evicted first.
+ */
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const config = require('../config/ConfigManager');
+
+// Maximum number of HTTP redirects followed for one download
+const MAX_REDIRECTS = 5;
+
+class ImageFetcher {
+  /**
+   * Download an image, reusing the cached copy when the server answers 304
+   * @param {string} url - http(s) URL of the image
+   * @returns {Promise<Buffer>} - Image data
+   */
+  static async fetch(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error(`Unsupported image URL protocol: ${parsed.protocol}`);
+    }
+
+    const cached = config.image.cacheMaxBytes > 0 ? ImageFetcher.readCache(url) : null;
+    const headers = {};
+    if (cached && cached.etag) {
+      headers['If-None-Match'] = cached.etag;
+    }
+
+    // The timeout covers the whole download including redirects, so a server
+    // dripping bytes cannot hold the fetch open
+    const { fetchTimeout } = config.image;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), fetchTimeout);
+
+    let response;
+    try {
+      response = await ImageFetcher.request(url, headers, MAX_REDIRECTS, controller.signal);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw new Error(`Image download timed out after ${fetchTimeout}ms: ${url}`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.statusCode === 304) {
+      if (!cached) {
+        throw new Error(`Server answered 304 Not Modified without a cached copy: ${url}`);
+      }
+      console.log(`Image not modified, using cached copy of ${url}`);
+      ImageFetcher.touchCache(url);
+      return cached.data;
+    }
+
+    // An ETag from another origin would be sent to the wrong server next time
+    if (response.etag && new URL(response.url).origin === parsed.origin && config.image.cacheMaxBytes > 0) {
+      ImageFetcher.writeCache(url, response.etag, response.data);
+    }
+
+    console.log(`Downloaded image from ${url} (${response.data.length} bytes)`);
+    return response.data;
+  }
+
+  /**
+   * Perform a GET request with timeout and size limit
+   * @param {string} url - URL to request
+   * @param {Object} headers - Request headers
+   * @param {number} redirectsLeft - Remaining redirects to follow
+   * @param {AbortSignal} signal - Aborts the request when the download deadline passes
+   * @returns {Promise<{statusCode: number, url: string, etag: string|null, data: Buffer|null}>} - Response
+   *   and the URL that produced it
+   * @private
+   */
+  static request(url, headers, redirectsLeft, signal) {
+    const { maxBytes } = config.image;
+    const transport = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.get(url, { headers, signal }, (res) => {
+        const { statusCode } = res;
+
+        if (statusCode >= 300 && statusCode < 400 && statusCode !== 304 && res.headers.location) {
+          res.resume();
+          if (redirectsLeft <= 0) {
+            reject(new Error(`Too many redirects fetching ${url}`));
+            return;
+          }
+          const current = new URL(url);
+          const next = new URL(res.headers.location, url);
+          if (current.protocol === 'https:' && next.protocol !== 'https:') {
+            reject(new Error(`Refusing redirect from https to ${next.protocol.slice(0, -1)}: ${next}`));
+            return;
+          }
+          // Cache headers belong to the requested origin only
+          const nextHeaders = next.origin === current.origin ? headers : {};
+          ImageFetcher.request(next.toString(), nextHeaders, redirectsLeft - 1, signal).then(resolve, reject);
+          return;
+        }
+
+        if (statusCode === 304) {
+          res.resume();
+          resolve({ statusCode, url, etag: null, data: null });
+          return;
+        }
+
+        if (statusCode !== 200) {
+          res.resume();
+          reject(new Error(`Image download failed with HTTP ${statusCode}: ${url}`));
+          return;
+        }
+
+        const declaredLength = parseInt(res.headers['content-length'], 10);
+        if (declaredLength > maxBytes) {
+          res.destroy();
+          reject(new Error(`Image too large (${declaredLength} bytes, limit ${maxBytes})`));
+          return;
+        }
+
+        const chunks = [];
+        let received = 0;
+        res.on('data', (chunk) => {
+          received += chunk.length;
+          if (received > maxBytes) {
+            res.destroy();
+            reject(new Error(`Image too large (more than ${maxBytes} bytes)`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        res.on('end', () => {
+          resolve({ statusCode, url, etag: res.headers.etag || null, data: Buffer.concat(chunks) });
+        });
+        res.on('error', reject);
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Cache file paths for a URL
+   * @param {string} url - Image URL
+   * @returns {{dataPath: string, metaPath: string}} - Paths of the cached body and metadata
+   * @private
+   */
+  static cachePaths(url) {
+    const key = crypto.createHash('sha256').update(url).digest('hex');
+    const cacheDir = path.resolve(config.image.cachePath);
+    return {
+      dataPath: path.join(cacheDir, `${key}.bin`),
+      metaPath: path.join(cacheDir, `${key}.json`)
+    };
+  }
+
+  /**
+   * Read a cached download
+   * @param {string} url - Image URL
+   * @returns {{etag: string, data: Buffer}|null} - Cached entry or null
+   * @private
+   */
+  static readCache(url) {
+    try {
+      const { dataPath, metaPath } = ImageFetcher.cachePaths(url);
+      if (!fs.existsSync(metaPath) || !fs.existsSync(dataPath)) {
+        return null;
+      }
+      const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      return { etag: meta.etag, data: fs.readFileSync(dataPath) };
+    } catch (error) {
+      console.warn('Error reading image cache:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a download in the cache
+   * @param {string} url - Image URL
+   * @param {string} etag - ETag returned by the server
+   * @param {Buffer} data - Image data
+   * @private
+   */
+  static writeCache(url, etag, data) {
+    try {
+      const { dataPath, metaPath } = ImageFetcher.cachePaths(url);
+      fs.mkdirSync(path.dirname(dataPath), { recursive: true });
+      fs.writeFileSync(dataPath, data);
+      fs.writeFileSync(metaPath, JSON.stringify({ url, etag, storedAt: Date.now() }));
+      ImageFetcher.evictCache(path.dirname(dataPath), config.image.cacheMaxBytes);
+    } catch (error) {
+      console.warn('Error writing image cache:', error.message);
+    }
+  }
+
+  /**
+   * Mark a cached download as recently used
+   * @param {string} url - Image URL
+   * @private
+   */
+  static touchCache(url) {
+    try {
+      const now = new Date();
+      fs.utimesSync(ImageFetcher.cachePaths(url).dataPath, now, now);
+    } catch (error) {
+      console.warn('Error updating image cache:', error.message);
+    }
+  }
+
+  /**
+   * Delete the least recently used cache entries until the cache fits the size limit
+   * @param {string} cacheDir - Cache directory
+   * @param {number} maxBytes - Size limit for the cached images
+   * @private
+   */
+  static evictCache(cacheDir, maxBytes) {
+    const entries = fs.readdirSync(cacheDir)
+      .filter(name => name.endsWith('.bin'))
+      .map((name) => {
+        const stats = fs.statSync(path.join(cacheDir, name));
+        return { key: name.slice(0, -4), size: stats.size, usedAt: stats.mtimeMs };
+      })
+      .sort((a, b) => a.usedAt - b.usedAt);
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      fs.rmSync(path.join(cacheDir, `${entry.key}.json`), { force: true });
+      fs.rmSync(path.join(cacheDir, `${entry.key}.bin`), { force: true });
+      total -= entry.size;
+      console.log(`Evicted cached image ${entry.key} (${entry.size} bytes)`);
+    }
+  }
+}
+
+module.exports = ImageFetcher;
@@ -0,0 +1,46 @@
+/**
+ * SystemControl - Power commands for the host system
+ * Only runs the real commands on Linux (Raspberry Pi); elsewhere the
+ * process exits instead so development machines are left alone
+ */
+const os = require('os');
+const { exec } = require('child_process');
+
+class SystemControl {
+  /**
+   * Shut down the host
+   */
+  static shutdown() {
+    SystemControl.run('sudo shutdown -h now', 'shutdown');
+  }
+
+  /**
+   * Reboot the host
+   */
+  static reboot() {
+    SystemControl.run('sudo reboot', 'reboot');
+  }
+
+  /**
+   * Execute a power command, or exit the process when not on Linux
+   * @param {string} command - Shell command to execute
+   * @param {string} label - Name used in log messages
+   * @private
+   */
+  static run(command, label) {
+    if (os.platform() !== 'linux') {
+      console.log(`System ${label} simulation (not on Raspberry Pi)`);
+      process.exit(0);
+      return;
+    }
+
+    console.log(`Executing system ${label} command`);
+    exec(command, (error) => {
+      if (error) {
+        console.error(`Failed to execute ${label} command:`, error);
+      }
+    });
+  }
+}
+
+module.exports = SystemControl;
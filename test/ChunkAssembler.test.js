@@ -0,0 +1,135 @@
+/**
+ * ChunkAssembler: reassembly in any order, size and SHA-256 checks, the
+ * limit on concurrent transfers and the expiry timeout, with mocked timers
+ */
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const ChunkAssembler = require('../src/mqtt/ChunkAssembler');
+
+const IMAGE = Buffer.from('0123456789abcdefghij');
+
+/**
+ * Manifest for an image split into chunks
+ * @param {Buffer} data - Image data
+ * @param {number} chunks - Number of chunks
+ * @param {Object} [fields] - Fields overriding the computed ones
+ * @returns {Object} Manifest
+ */
+function manifestFor(data, chunks, fields = {}) {
+  return {
+    chunks,
+    size: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    ...fields
+  };
+}
+
+describe('ChunkAssembler', () => {
+  let assembler;
+  let timers;
+  let expired;
+
+  beforeEach(() => {
+    // Capture transfer timeouts instead of waiting for them
+    timers = [];
+    mock.method(global, 'setTimeout', (callback, delay) => {
+      const timer = { callback, delay, cleared: false, unref() {} };
+      timers.push(timer);
+      return timer;
+    });
+    mock.method(global, 'clearTimeout', (timer) => {
+      timer.cleared = true;
+    });
+
+    expired = [];
+    assembler = new ChunkAssembler({
+      timeout: 30000,
+      maxBytes: 64,
+      onExpired: (transferId, manifest, packet) => expired.push({ transferId, manifest, packet })
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('assembles chunks that arrive before and after the manifest', () => {
+    const packet = { properties: { correlationData: Buffer.from('t1') } };
+
+    assert.strictEqual(assembler.addChunk('t1', 1, IMAGE.subarray(10)), null);
+    assert.strictEqual(assembler.addManifest('t1', manifestFor(IMAGE, 2, { fit: 'cover' }), packet), null);
+    const result = assembler.addChunk('t1', 0, IMAGE.subarray(0, 10));
+
+    assert.deepStrictEqual(result.data, IMAGE);
+    assert.strictEqual(result.manifest.fit, 'cover');
+    assert.strictEqual(result.packet, packet);
+    assert.strictEqual(assembler.describe('t1'), null);
+    assert.strictEqual(timers[0].cleared, true);
+  });
+
+  it('accepts redelivered chunks without counting them twice', () => {
+    assembler.addManifest('t1', manifestFor(IMAGE, 2));
+    assembler.addChunk('t1', 0, IMAGE.subarray(0, 10));
+    assembler.addChunk('t1', 0, IMAGE.subarray(0, 10));
+
+    assert.deepStrictEqual(assembler.addChunk('t1', 1, IMAGE.subarray(10)).data, IMAGE);
+  });
+
+  it('rejects a transfer whose size does not match the manifest', () => {
+    assembler.addManifest('t1', manifestFor(IMAGE, 2, { size: IMAGE.length + 1 }));
+    assembler.addChunk('t1', 0, IMAGE.subarray(0, 10));
+
+    assert.throws(() => assembler.addChunk('t1', 1, IMAGE.subarray(10)),
+      /Transfer t1 size mismatch \(expected 21 bytes, got 20\)/);
+  });
+
+  it('rejects a transfer whose SHA-256 does not match the manifest', () => {
+    assembler.addManifest('t1', manifestFor(IMAGE, 2));
+    assembler.addChunk('t1', 0, IMAGE.subarray(0, 10));
+
+    assert.throws(() => assembler.addChunk('t1', 1, Buffer.from('JIHGFEDCBA')), /Transfer t1 checksum mismatch/);
+  });
+
+  it('rejects invalid manifests and chunks', () => {
+    assert.throws(() => assembler.addManifest('t1', manifestFor(IMAGE, 0)), /"chunks" must be a positive integer/);
+    assert.throws(() => assembler.addManifest('t1', manifestFor(IMAGE, 2, { size: 65 })), /Image too large \(65 bytes, limit 64\)/);
+    assert.throws(() => assembler.addManifest('t1', manifestFor(IMAGE, 2, { sha256: 'abc' })), /"sha256" must be a hex SHA-256/);
+
+    assembler.addManifest('t2', manifestFor(IMAGE, 2));
+    assert.throws(() => assembler.addChunk('t2', 2, Buffer.from('x')), /Chunk 2 out of range/);
+    assert.throws(() => assembler.addChunk('t2', NaN, Buffer.from('x')), /Invalid chunk number/);
+    assert.throws(() => assembler.addChunk('t3', 0, Buffer.alloc(65)), /Transfer t3 exceeds 64 bytes/);
+  });
+
+  it('drops the oldest transfer beyond four concurrent ones', () => {
+    for (const id of ['t1', 't2', 't3', 't4', 't5']) {
+      assembler.addChunk(id, 0, Buffer.from('x'));
+    }
+
+    assert.strictEqual(assembler.describe('t1'), null);
+    assert.ok(assembler.describe('t2'));
+    assert.ok(assembler.describe('t5'));
+    assert.strictEqual(timers[0].cleared, true);
+    assert.deepStrictEqual(expired, []);
+  });
+
+  it('discards an incomplete transfer after the timeout and reports it', () => {
+    const manifest = manifestFor(IMAGE, 2);
+    const packet = { properties: {} };
+    assembler.addManifest('t1', manifest, packet);
+    assembler.addChunk('t1', 0, IMAGE.subarray(0, 10));
+
+    assert.strictEqual(timers.length, 1);
+    assert.strictEqual(timers[0].delay, 30000);
+    timers[0].callback();
+
+    assert.strictEqual(assembler.describe('t1'), null);
+    assert.deepStrictEqual(expired, [{ transferId: 't1', manifest, packet }]);
+
+    // A late chunk starts a new transfer instead of completing the old one
+    assert.strictEqual(assembler.addChunk('t1', 1, IMAGE.subarray(10)), null);
+    assert.strictEqual(assembler.describe('t1').manifest, null);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * ConfigResolver layer precedence (default < file < env < cli < remote),
+ * fallback past invalid values, and ConfigManager's 'change' events
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-resolver-'));
+const configFile = path.join(tempDir, 'config.json');
+fs.writeFileSync(configFile, JSON.stringify({ display: { gamma: 1.1, contrast: 1.1, blackPoint: 10, whitePoint: 240 } }));
+
+process.env.DEVICE_STATE_FILE = path.join(tempDir, 'device-state.json');
+process.env.DISPLAY_GAMMA = '1.2';
+process.env.DISPLAY_CONTRAST = '1.2';
+process.env.DISPLAY_BLACK_POINT = '20';
+process.argv = [...process.argv.slice(0, 2), '--config', configFile, '--display.gamma=1.3'];
+
+const ConfigResolver = require('../src/config/ConfigResolver');
+const config = require('../src/config/ConfigManager');
+
+describe('ConfigResolver', () => {
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('resolves from the highest layer holding a value', () => {
+    const resolver = new ConfigResolver();
+    assert.deepStrictEqual(resolver.resolve('display.gamma'), { value: 1.0, source: 'default', origin: 'default' });
+
+    const layers = ['file', 'env', 'cli', 'remote'];
+    layers.forEach((layer, i) => {
+      resolver.set(layer, 'display.gamma', String(1.1 + i / 10), `${layer} origin`);
+      assert.deepStrictEqual(resolver.resolve('display.gamma'), { value: 1.1 + i / 10, source: layer, origin: `${layer} origin` });
+    });
+
+    // Layers are ranked by precedence, not by the order they were set in
+    const reversed = new ConfigResolver();
+    [...layers].reverse().forEach(layer => reversed.set(layer, 'display.contrast', layer === 'remote' ? 2 : 1));
+    assert.strictEqual(reversed.resolve('display.contrast').source, 'remote');
+
+    resolver.clear('remote');
+    assert.strictEqual(resolver.resolve('display.gamma').source, 'cli');
+  });
+
+  it('falls back to a lower layer when a value is invalid', () => {
+    const resolver = new ConfigResolver();
+    resolver.set('file', 'display.rotation', 90);
+    resolver.set('env', 'display.rotation', '45');
+
+    assert.deepStrictEqual(resolver.resolve('display.rotation'), { value: 90, source: 'file', origin: 'file' });
+    assert.deepStrictEqual(resolver.explain('display.rotation').layers, [
+      { layer: 'default', origin: 'default', value: 0 },
+      { layer: 'file', origin: 'file', value: 90 },
+      { layer: 'env', origin: 'env', value: '45', error: 'must be one of 0, 90, 180, 270' }
+    ]);
+  });
+
+  it('derives defaults from other settings', () => {
+    const resolver = new ConfigResolver();
+    assert.strictEqual(resolver.get('mqtt.broker.port'), 8883);
+
+    resolver.set('env', 'mqtt.broker.transport', 'ws');
+    assert.strictEqual(resolver.get('mqtt.broker.port'), 80);
+  });
+
+  it('masks secrets when explaining a setting', () => {
+    const resolver = new ConfigResolver();
+    resolver.set('env', 'mqtt.tls.keyPassphrase', 'hunter2', 'MQTT_TLS_KEY_PASSPHRASE');
+
+    const explained = resolver.explain('mqtt.tls.keyPassphrase');
+    assert.strictEqual(explained.value, '***');
+    assert.ok(explained.layers.every(layer => layer.value !== 'hunter2'));
+  });
+
+  it('rejects unknown layers and settings', () => {
+    const resolver = new ConfigResolver();
+    assert.throws(() => resolver.set('database', 'display.gamma', 1), /Unknown config layer: database/);
+    assert.throws(() => resolver.set('env', 'display.sparkle', 1), /Unknown setting: display.sparkle/);
+  });
+
+  describe('ConfigManager layers', () => {
+    it('stacks the config file, environment and command line', () => {
+      assert.deepStrictEqual(config.explain('display.gamma').layers.map(({ layer, value }) => [layer, value]), [
+        ['default', 1.0],
+        ['file', 1.1],
+        ['env', '1.2'],
+        ['cli', '1.3']
+      ]);
+      assert.strictEqual(config.display.gamma, 1.3);
+      assert.strictEqual(config.display.contrast, 1.2);
+      assert.strictEqual(config.display.blackPoint, 20);
+      assert.strictEqual(config.display.whitePoint, 240);
+    });
+
+    it('emits change events for remote values that change the effective setting', () => {
+      const changes = [];
+      const listener = change => changes.push(change);
+      config.on('change', listener);
+
+      try {
+        config.updateConfig({ display: { gamma: 2, contrast: 1.2 } });
+        assert.deepStrictEqual(changes, [{ key: 'display.gamma', value: 2, previous: 1.3, source: 'remote' }]);
+        assert.strictEqual(config.explain('display.gamma').source, 'remote');
+
+        config.updateConfig({ display: { gamma: 2 } });
+        assert.strictEqual(changes.length, 1);
+
+        // Rolling back drops the remote layer, so the command line value is back
+        config.rollbackConfig();
+        assert.deepStrictEqual(changes[1], { key: 'display.gamma', value: 1.3, previous: 2, source: 'remote' });
+        assert.strictEqual(config.display.gamma, 1.3);
+      } finally {
+        config.removeListener('change', listener);
+      }
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * ConfigRollback: every version recorded by ConfigManager.updateConfig is
+ * tracked, confirmed by a successful render and reverted by a failed one
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-rollback-'));
+process.env.DEVICE_STATE_FILE = path.join(tempDir, 'device-state.json');
+process.env.CONFIG_CONFIRM_TIMEOUT = '0';
+delete process.env.DISPLAY_GAMMA;
+
+const config = require('../src/config/ConfigManager');
+const ConfigRollback = require('../src/config/ConfigRollback');
+
+describe('ConfigRollback', () => {
+  const rollback = new ConfigRollback();
+  const events = [];
+  rollback.on('confirmed', version => events.push({ confirmed: version }));
+  rollback.on('rollback', event => events.push({ rollback: event }));
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('tracks every version recorded by updateConfig', () => {
+    const version = config.updateConfig({ display: { gamma: 1.2 } });
+
+    assert.strictEqual(version, 1);
+    assert.strictEqual(rollback.pending, 1);
+    assert.strictEqual(config.pendingConfigVersion, 1);
+  });
+
+  it('confirms the pending version after a successful render', () => {
+    rollback.renderSucceeded();
+
+    assert.strictEqual(rollback.pending, null);
+    assert.strictEqual(config.pendingConfigVersion, null);
+    assert.deepStrictEqual(events.pop(), { confirmed: 1 });
+  });
+
+  it('does not record a version when nothing changed', () => {
+    assert.strictEqual(config.updateConfig({ display: { gamma: 1.2 } }), null);
+    assert.strictEqual(rollback.pending, null);
+  });
+
+  it('reverts to the last confirmed version when a render fails', () => {
+    config.updateConfig({ display: { gamma: 2.5 } });
+    assert.strictEqual(rollback.pending, 2);
+    assert.strictEqual(config.display.gamma, 2.5);
+
+    rollback.renderFailed(new Error('broken'));
+
+    assert.strictEqual(rollback.pending, null);
+    assert.strictEqual(config.display.gamma, 1.2);
+    assert.strictEqual(config.configVersion, 1);
+    assert.deepStrictEqual(events.pop(), { rollback: { from: 2, to: 1, reason: 'Render failed: broken' } });
+
+    const saved = JSON.parse(fs.readFileSync(process.env.DEVICE_STATE_FILE, 'utf8'));
+    assert.strictEqual(saved.version, 1);
+    assert.deepStrictEqual(saved.settings, { display: { gamma: 1.2 } });
+  });
+
+  it('ignores render failures without a pending version', () => {
+    rollback.renderFailed(new Error('broken image'));
+
+    assert.strictEqual(config.configVersion, 1);
+    assert.strictEqual(events.length, 0);
+  });
+
+  it('only confirms the pending version', () => {
+    assert.throws(() => rollback.confirm(), /No config version is pending/);
+
+    config.updateConfig({ display: { gamma: 1.4 } });
+    assert.throws(() => rollback.confirm(1), /Config version 1 is not pending/);
+    assert.deepStrictEqual(rollback.confirm(), { version: 3 });
+  });
+});
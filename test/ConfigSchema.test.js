@@ -0,0 +1,110 @@
+/**
+ * ConfigSchema: validation of config messages, coercion, aliases and rejections
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-schema-'));
+process.env.DEVICE_STATE_FILE = path.join(tempDir, 'device-state.json');
+
+const ConfigSchema = require('../src/config/ConfigSchema');
+
+const { SCHEMA } = ConfigSchema;
+
+describe('ConfigSchema', () => {
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('validate', () => {
+    it('applies remote settings and ignores unknown and local-only keys', () => {
+      const result = ConfigSchema.validate({
+        display: { gamma: '1.5', rotation: '90', unknown: 1 },
+        mqtt: { broker: { url: 'mqtt://elsewhere' } }
+      });
+
+      assert.deepStrictEqual(result.updates, { display: { gamma: 1.5, rotation: 90 } });
+      assert.deepStrictEqual(result.applied.sort(), ['display.gamma', 'display.rotation']);
+      assert.deepStrictEqual(result.ignored.sort(), ['display.unknown', 'mqtt.broker.url']);
+      assert.deepStrictEqual(result.rejected, []);
+    });
+
+    it('prefers display.brightness over displayBrightness over brightness', () => {
+      let result = ConfigSchema.validate({ display: { brightness: 1.2 }, displayBrightness: 1.4, brightness: 1.6 });
+      assert.deepStrictEqual(result.updates, { display: { gamma: 1.2 } });
+      assert.deepStrictEqual(result.ignored.sort(), ['brightness', 'displayBrightness']);
+
+      result = ConfigSchema.validate({ displayBrightness: 1.4, brightness: 1.6 });
+      assert.deepStrictEqual(result.updates, { display: { gamma: 1.4 } });
+      assert.deepStrictEqual(result.ignored, ['brightness']);
+
+      result = ConfigSchema.validate({ brightness: 1.6 });
+      assert.deepStrictEqual(result.updates, { display: { gamma: 1.6 } });
+    });
+
+    it('prefers the canonical path over all aliases', () => {
+      const result = ConfigSchema.validate({ display: { gamma: 1.1, brightness: 1.2 }, brightness: 1.6 });
+      assert.deepStrictEqual(result.updates, { display: { gamma: 1.1 } });
+      assert.deepStrictEqual(result.ignored.sort(), ['brightness', 'display.brightness']);
+    });
+
+    it('rejects invalid enum, time and palette values without applying them', () => {
+      const result = ConfigSchema.validate({
+        display: { dithering: 'spiral', fullRefreshTime: '25:00', palette: 'rainbow', fit: 'COVER' }
+      });
+
+      assert.deepStrictEqual(result.updates, { display: { fit: 'cover' } });
+      assert.deepStrictEqual(result.rejected.map(r => r.key).sort(),
+        ['display.dithering', 'display.fullRefreshTime', 'display.palette']);
+      assert.match(result.rejected.find(r => r.key === 'display.dithering').reason, /^must be one of /);
+      assert.strictEqual(result.rejected.find(r => r.key === 'display.fullRefreshTime').reason,
+        'must be a time in HH:MM format or empty');
+      assert.match(result.rejected.find(r => r.key === 'display.palette').reason, /^must be spectra6, acep7 or a custom palette/);
+    });
+
+    it('rejects messages that are not JSON objects', () => {
+      for (const payload of [null, [], 'gamma', 3]) {
+        assert.deepStrictEqual(ConfigSchema.validate(payload).rejected, [{ key: '', reason: 'Config message must be a JSON object' }]);
+      }
+    });
+  });
+
+  describe('coerce', () => {
+    it('checks number ranges', () => {
+      assert.strictEqual(ConfigSchema.coerce(SCHEMA['display.gamma'], '2'), 2);
+      assert.throws(() => ConfigSchema.coerce(SCHEMA['display.gamma'], 9), /^Error: must be between 0.1 and 5$/);
+      assert.throws(() => ConfigSchema.coerce({ type: 'integer', min: 1 }, 0), /^Error: must be at least 1$/);
+      assert.throws(() => ConfigSchema.coerce({ type: 'number', max: 10 }, 11), /^Error: must be at most 10$/);
+      assert.throws(() => ConfigSchema.coerce({ type: 'integer' }, 1.5), /must be an integer/);
+      assert.throws(() => ConfigSchema.coerce({ type: 'number' }, 'abc'), /must be a number/);
+    });
+
+    it('normalizes enums, booleans, colors and lists', () => {
+      assert.strictEqual(ConfigSchema.coerce(SCHEMA['display.waveform'], ' du '), 'DU');
+      assert.strictEqual(ConfigSchema.coerce(SCHEMA['display.bpp'], '2'), 2);
+      assert.strictEqual(ConfigSchema.coerce({ type: 'boolean' }, 'false'), false);
+      assert.strictEqual(ConfigSchema.coerce(SCHEMA['display.background'], '#ABC'), '#abc');
+      assert.deepStrictEqual(ConfigSchema.coerce({ type: 'list' }, 'a, b,,c'), ['a', 'b', 'c']);
+
+      assert.throws(() => ConfigSchema.coerce({ type: 'boolean' }, 'yes'), /must be true or false/);
+      assert.throws(() => ConfigSchema.coerce(SCHEMA['display.background'], 'white'), /must be a hex color/);
+    });
+
+    it('accepts empty times, palettes and timezones to disable them', () => {
+      assert.strictEqual(ConfigSchema.coerce(SCHEMA['display.fullRefreshTime'], ''), '');
+      assert.strictEqual(ConfigSchema.coerce(SCHEMA['display.palette'], ''), '');
+      assert.strictEqual(ConfigSchema.coerce(SCHEMA['schedule.timezone'], ''), '');
+      assert.throws(() => ConfigSchema.coerce(SCHEMA['schedule.timezone'], 'Mars/Olympus'), /IANA timezone/);
+    });
+
+    it('rejects non-string palettes', () => {
+      for (const value of [42, ['#000000', '#ffffff'], { name: 'spectra6' }]) {
+        assert.throws(() => ConfigSchema.coerce(SCHEMA['display.palette'], value), /custom palette/);
+      }
+      assert.strictEqual(ConfigSchema.coerce(SCHEMA['display.palette'], ' spectra6 '), 'spectra6');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Dithering: gray level density of Floyd-Steinberg, Atkinson and Bayer
+ * output, the ordered pattern and quantization to the panel's levels
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Dithering = require('../src/util/Dithering');
+
+const SIZE = 32;
+
+/**
+ * Average of an 8-bit buffer
+ * @param {Buffer} buffer - Pixels
+ * @returns {number} Mean value
+ */
+const mean = buffer => buffer.reduce((sum, value) => sum + value, 0) / buffer.length;
+
+describe('Dithering', () => {
+  /**
+   * Average output of a flat gray image
+   * @param {string} method - Dithering method
+   * @param {number} gray - Input gray value
+   * @param {number} levels - Output levels
+   * @returns {number} Mean output value
+   */
+  const flatMean = (method, gray, levels) => mean(Dithering.apply(Buffer.alloc(SIZE * SIZE, gray), SIZE, SIZE, method, levels));
+
+  it('keeps the average brightness of flat grays at 1bpp', () => {
+    // Bayer has 16 thresholds, so it can be off by half of one
+    const tolerance = { 'floyd-steinberg': 3, bayer: 8 };
+
+    for (const method of Object.keys(tolerance)) {
+      for (const gray of [32, 64, 100, 128, 160, 192, 224]) {
+        const average = flatMean(method, gray, 2);
+        assert.ok(Math.abs(average - gray) <= tolerance[method], `${method} ${gray}: ${average}`);
+      }
+    }
+  });
+
+  it('keeps the average brightness of flat grays at 4bpp', () => {
+    for (const method of ['floyd-steinberg', 'atkinson', 'bayer']) {
+      for (const gray of [32, 64, 100, 128, 160, 192, 224]) {
+        const average = flatMean(method, gray, 16);
+        assert.ok(Math.abs(average - gray) <= 3, `${method} ${gray}: ${average}`);
+      }
+    }
+  });
+
+  it('pushes dark and light grays further out with Atkinson, which drops a quarter of the error', () => {
+    assert.ok(flatMean('atkinson', 64, 2) < 54);
+    assert.ok(flatMean('atkinson', 192, 2) > 202);
+    assert.ok(Math.abs(flatMean('atkinson', 128, 2) - 128) <= 3);
+  });
+
+  it('only outputs values on the quantized levels', () => {
+    const ramp = Buffer.from(Array.from({ length: SIZE * SIZE }, (_, i) => i % 256));
+    const levels16 = new Set(Array.from({ length: 16 }, (_, level) => level * 17));
+
+    for (const method of Dithering.METHODS) {
+      const output = Dithering.apply(ramp, SIZE, SIZE, method, 16);
+      assert.ok(output.every(value => levels16.has(value)), method);
+    }
+  });
+
+  it('leaves black, white and on-level grays unchanged', () => {
+    for (const method of Dithering.METHODS) {
+      for (const gray of [0, 85, 170, 255]) {
+        const input = Buffer.alloc(SIZE * SIZE, gray);
+        assert.deepStrictEqual(Dithering.apply(input, SIZE, SIZE, method, 4), input, `${method} ${gray}`);
+      }
+    }
+  });
+
+  it('dithers mid gray with the Bayer threshold pattern', () => {
+    const output = Dithering.apply(Buffer.alloc(4 * 4, 128), 4, 4, 'bayer', 2);
+    assert.deepStrictEqual(Array.from(output), [
+      0, 255, 0, 255,
+      255, 0, 255, 0,
+      0, 255, 0, 255,
+      255, 0, 255, 0
+    ]);
+  });
+
+  it('alternates pixels for mid gray with Floyd-Steinberg', () => {
+    const output = Dithering.apply(Buffer.alloc(4, 128), 4, 1, 'floyd-steinberg', 2);
+    assert.deepStrictEqual(Array.from(output), [255, 0, 255, 0]);
+  });
+
+  it('quantizes to the nearest level without dithering', () => {
+    const output = Dithering.apply(Buffer.from([0, 42, 43, 127, 128, 255]), 6, 1, 'none', 4);
+    assert.deepStrictEqual(Array.from(output), [0, 0, 85, 85, 170, 255]);
+  });
+
+  it('rejects unknown methods', () => {
+    assert.strictEqual(Dithering.isSupported('spiral'), false);
+    assert.throws(() => Dithering.apply(Buffer.alloc(1), 1, 1, 'spiral', 2), /Unsupported dithering method: spiral/);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * FrameDiff: changed regions between packed frames, aligned to 32 bits of a
+ * packed row (32/bpp pixels), row banding and region extraction
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const FrameDiff = require('../src/display/FrameDiff');
+
+/**
+ * A blank packed frame and a copy with some bytes changed
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {number} bpp - Bits per pixel
+ * @param {Array<number[]>} changes - [row, byte in row] pairs to change
+ * @returns {{previous: Buffer, next: Buffer}} Frames
+ */
+function frames(width, height, bpp, changes) {
+  const stride = FrameDiff.rowBytes(width, bpp);
+  const previous = Buffer.alloc(stride * height, 0xff);
+  const next = Buffer.from(previous);
+  for (const [row, byte] of changes) {
+    next[row * stride + byte] = 0x00;
+  }
+  return { previous, next };
+}
+
+describe('FrameDiff', () => {
+  it('aligns regions to 32 bits of packed data at every bit depth', () => {
+    // Byte 5 holds pixels 40-47 at 1bpp, 20-23 at 2bpp, 10-11 at 4bpp and pixel 5 at 8bpp
+    const cases = [
+      { bpp: 1, x: 32, width: 32 },
+      { bpp: 2, x: 16, width: 16 },
+      { bpp: 4, x: 8, width: 8 },
+      { bpp: 8, x: 4, width: 4 }
+    ];
+    for (const { bpp, x, width } of cases) {
+      const { previous, next } = frames(64, 4, bpp, [[1, 5]]);
+      assert.deepStrictEqual(FrameDiff.changedRegions(previous, next, 64, 4, bpp), [{ x, y: 1, width, height: 1 }],
+        `${bpp}bpp`);
+    }
+  });
+
+  it('covers changes that straddle an alignment boundary', () => {
+    // At 4bpp bytes 3 and 4 hold pixels 6-7 and 8-9, on both sides of the 8-pixel boundary
+    const { previous, next } = frames(64, 2, 4, [[0, 3], [0, 4]]);
+    assert.deepStrictEqual(FrameDiff.changedRegions(previous, next, 64, 2, 4), [{ x: 0, y: 0, width: 16, height: 1 }]);
+  });
+
+  it('clips the last aligned block to the frame width', () => {
+    // 100 pixels at 1bpp are 13 bytes; the last byte holds pixels 96-99
+    const { previous, next } = frames(100, 2, 1, [[1, 12]]);
+    assert.deepStrictEqual(FrameDiff.changedRegions(previous, next, 100, 2, 1), [{ x: 96, y: 1, width: 4, height: 1 }]);
+  });
+
+  it('merges rows within the gap into one band and splits beyond it', () => {
+    const { previous, next } = frames(64, 40, 4, [[2, 0], [5, 20], [30, 9]]);
+    assert.deepStrictEqual(FrameDiff.changedRegions(previous, next, 64, 40, 4, 3), [
+      { x: 0, y: 2, width: 48, height: 4 },
+      { x: 16, y: 30, width: 8, height: 1 }
+    ]);
+  });
+
+  it('finds nothing in identical frames', () => {
+    const { previous, next } = frames(64, 4, 4, []);
+    assert.deepStrictEqual(FrameDiff.changedRegions(previous, next, 64, 4, 4), []);
+  });
+
+  it('extracts the packed bytes of a region', () => {
+    const width = 16;
+    const bpp = 4;
+    const frame = Buffer.from(Array.from({ length: FrameDiff.rowBytes(width, bpp) * 3 }, (_, i) => i));
+
+    // Rows are 8 bytes; pixels 8-15 are bytes 4-7 of each row
+    const region = FrameDiff.extractRegion(frame, width, bpp, { x: 8, y: 1, width: 8, height: 2 });
+    assert.deepStrictEqual(region, Buffer.from([12, 13, 14, 15, 20, 21, 22, 23]));
+    assert.strictEqual(FrameDiff.area([{ width: 8, height: 2 }, { width: 4, height: 1 }]), 20);
+  });
+});
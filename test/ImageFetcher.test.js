@@ -0,0 +1,214 @@
+/**
+ * ImageFetcher against a local HTTP server: timeouts, size limit, redirects and ETag caching
+ */
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-fetch-'));
+process.env.IMAGE_CACHE_PATH = path.join(tempDir, 'cache');
+process.env.IMAGE_FETCH_TIMEOUT = '500';
+process.env.IMAGE_MAX_BYTES = '1024';
+process.env.IMAGE_CACHE_MAX_BYTES = '100';
+process.env.DEVICE_STATE_FILE = path.join(tempDir, 'device-state.json');
+
+const ImageFetcher = require('../src/util/ImageFetcher');
+
+const IMAGE = Buffer.from('not really a png, but bytes are bytes');
+
+describe('ImageFetcher', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let otherServer;
+  let otherUrl;
+  let otherRequests;
+
+  before(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+
+      if (req.url.startsWith('/etag/')) {
+        res.writeHead(200, { ETag: `"${req.url}"` });
+        res.end(IMAGE);
+        return;
+      }
+
+      switch (req.url) {
+        case '/image':
+          if (req.headers['if-none-match'] === '"v1"') {
+            res.writeHead(304);
+            res.end();
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'image/png', ETag: '"v1"' });
+          res.end(IMAGE);
+          return;
+
+        case '/redirect':
+          res.writeHead(302, { Location: '/plain' });
+          res.end();
+          return;
+
+        case '/loop':
+          res.writeHead(302, { Location: '/loop' });
+          res.end();
+          return;
+
+        case '/plain':
+          res.writeHead(200);
+          res.end(IMAGE);
+          return;
+
+        case '/moved':
+          // Cached on the first request, moved to another origin afterwards
+          if (req.headers['if-none-match']) {
+            res.writeHead(302, { Location: `${otherUrl}/image` });
+          } else {
+            res.writeHead(200, { ETag: '"moved-v1"' });
+          }
+          res.end(IMAGE);
+          return;
+
+        case '/not-modified':
+          res.writeHead(304);
+          res.end();
+          return;
+
+        case '/declared-large':
+          res.writeHead(200, { 'Content-Length': 4096 });
+          res.end(Buffer.alloc(4096));
+          return;
+
+        case '/chunked-large':
+          res.writeHead(200);
+          res.write(Buffer.alloc(800));
+          res.end(Buffer.alloc(800));
+          return;
+
+        case '/drip': {
+          // Sends a byte every 50ms: never idle long enough for a socket timeout
+          res.writeHead(200);
+          const timer = setInterval(() => res.write('x'), 50);
+          res.on('close', () => clearInterval(timer));
+          return;
+        }
+
+        default:
+          res.writeHead(404);
+          res.end();
+      }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    otherRequests = [];
+    otherServer = http.createServer((req, res) => {
+      otherRequests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+      res.writeHead(200, { ETag: '"other-v1"' });
+      res.end(IMAGE);
+    });
+    await new Promise(resolve => otherServer.listen(0, '127.0.0.1', resolve));
+    otherUrl = `http://127.0.0.1:${otherServer.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => otherServer.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('downloads an image and reuses the cached copy on 304', async () => {
+    const first = await ImageFetcher.fetch(`${baseUrl}/image`);
+    assert.deepStrictEqual(first, IMAGE);
+
+    const second = await ImageFetcher.fetch(`${baseUrl}/image`);
+    assert.deepStrictEqual(second, IMAGE);
+
+    const imageRequests = requests.filter(r => r.url === '/image');
+    assert.strictEqual(imageRequests.length, 2);
+    assert.strictEqual(imageRequests[0].ifNoneMatch, undefined);
+    assert.strictEqual(imageRequests[1].ifNoneMatch, '"v1"');
+  });
+
+  it('rejects a 304 without a cached copy', async () => {
+    await assert.rejects(ImageFetcher.fetch(`${baseUrl}/not-modified`), /304 Not Modified without a cached copy/);
+  });
+
+  it('follows redirects', async () => {
+    const data = await ImageFetcher.fetch(`${baseUrl}/redirect`);
+    assert.deepStrictEqual(data, IMAGE);
+  });
+
+  it('stops after too many redirects', async () => {
+    await assert.rejects(ImageFetcher.fetch(`${baseUrl}/loop`), /Too many redirects/);
+  });
+
+  it('rejects images over the size limit by Content-Length', async () => {
+    await assert.rejects(ImageFetcher.fetch(`${baseUrl}/declared-large`), /Image too large \(4096 bytes/);
+  });
+
+  it('rejects images over the size limit while streaming', async () => {
+    await assert.rejects(ImageFetcher.fetch(`${baseUrl}/chunked-large`), /Image too large \(more than 1024 bytes\)/);
+  });
+
+  it('rejects HTTP errors', async () => {
+    await assert.rejects(ImageFetcher.fetch(`${baseUrl}/missing`), /HTTP 404/);
+  });
+
+  it('rejects unsupported protocols', async () => {
+    await assert.rejects(ImageFetcher.fetch('ftp://127.0.0.1/image'), /Unsupported image URL protocol/);
+  });
+
+  it('aborts a slow download at the overall deadline', async () => {
+    const started = Date.now();
+    await assert.rejects(ImageFetcher.fetch(`${baseUrl}/drip`), /timed out after 500ms/);
+    assert.ok(Date.now() - started < 2000, 'download was not aborted at the deadline');
+  });
+
+  it('does not send the cached ETag to another origin after a redirect', async () => {
+    await ImageFetcher.fetch(`${baseUrl}/moved`);
+    const data = await ImageFetcher.fetch(`${baseUrl}/moved`);
+
+    assert.deepStrictEqual(data, IMAGE);
+    assert.strictEqual(requests.filter(r => r.url === '/moved')[1].ifNoneMatch, '"moved-v1"');
+    assert.deepStrictEqual(otherRequests, [{ url: '/image', ifNoneMatch: undefined }]);
+  });
+
+  it('refuses redirects from https to http', async () => {
+    // Stand-in for an https server answering with a redirect to plain http
+    mock.method(https, 'get', (url, options, callback) => {
+      const res = new EventEmitter();
+      res.statusCode = 302;
+      res.headers = { location: `${baseUrl}/plain` };
+      res.resume = () => {};
+      process.nextTick(() => callback(res));
+      return new EventEmitter();
+    });
+
+    try {
+      await assert.rejects(ImageFetcher.fetch('https://example.com/image'), /Refusing redirect from https to http/);
+    } finally {
+      mock.restoreAll();
+    }
+  });
+
+  it('evicts the least recently used images beyond the cache size limit', async () => {
+    for (const n of [1, 2, 3]) {
+      await ImageFetcher.fetch(`${baseUrl}/etag/${n}`);
+    }
+
+    // 100 bytes hold two cached images
+    const cached = n => fs.existsSync(ImageFetcher.cachePaths(`${baseUrl}/etag/${n}`).dataPath);
+    assert.deepStrictEqual([1, 2, 3].map(cached), [false, true, true]);
+    assert.strictEqual(fs.readdirSync(process.env.IMAGE_CACHE_PATH).filter(name => name.endsWith('.bin')).length, 2);
+  });
+});
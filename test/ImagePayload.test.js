@@ -0,0 +1,67 @@
+/**
+ * ImagePayload: envelope source validation and local file restrictions
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-payload-'));
+const root = path.join(tempDir, 'images');
+process.env.IMAGE_LOCAL_ROOT = root;
+process.env.IMAGE_MAX_BYTES = '16';
+process.env.DEVICE_STATE_FILE = path.join(tempDir, 'device-state.json');
+
+fs.mkdirSync(root);
+fs.writeFileSync(path.join(root, 'photo.png'), 'small image');
+fs.writeFileSync(path.join(root, 'large.png'), Buffer.alloc(17));
+fs.writeFileSync(path.join(tempDir, 'secret.txt'), 'secret');
+fs.symlinkSync(path.join(tempDir, 'secret.txt'), path.join(root, 'link.png'));
+
+const ImagePayload = require('../src/mqtt/ImagePayload');
+
+/**
+ * Decode a JSON envelope
+ * @param {Object} envelope - Envelope fields
+ * @returns {Promise<{data: Buffer, options: Object}>} Decoded image
+ */
+const decode = envelope => ImagePayload.decode(Buffer.from(JSON.stringify(envelope)));
+
+describe('ImagePayload', () => {
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('passes raw image bytes through', async () => {
+    const image = await ImagePayload.decode(Buffer.from('raw bytes'));
+    assert.deepStrictEqual(image, { data: Buffer.from('raw bytes'), options: {} });
+  });
+
+  it('reads a local file with the envelope options', async () => {
+    const image = await decode({ path: 'photo.png', fit: 'cover' });
+    assert.strictEqual(image.data.toString(), 'small image');
+    assert.deepStrictEqual(image.options, { fit: 'cover' });
+  });
+
+  it('rejects empty and ambiguous sources', async () => {
+    const message = /exactly one non-empty url, base64 or path/;
+    await assert.rejects(decode({ url: '' }), message);
+    await assert.rejects(decode({ path: 'photo.png', base64: 'aGk=' }), message);
+    await assert.rejects(decode({ fit: 'cover' }), message);
+  });
+
+  it('rejects local files over the size limit', async () => {
+    await assert.rejects(decode({ path: 'large.png' }), /Image too large \(17 bytes, limit 16\)/);
+  });
+
+  it('rejects paths and symlinks leading out of the local root', async () => {
+    await assert.rejects(decode({ path: '../secret.txt' }), /Image path outside of/);
+    await assert.rejects(decode({ path: 'link.png' }), /Image path outside of/);
+  });
+
+  it('rejects missing files and directories', async () => {
+    await assert.rejects(decode({ path: 'missing.png' }), /Image file not found: missing.png/);
+    await assert.rejects(decode({ path: '.' }), /Image path is not a file/);
+  });
+});
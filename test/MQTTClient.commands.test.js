@@ -0,0 +1,262 @@
+/**
+ * Remote commands against a local MQTT 5 broker: allowlist, errors and
+ * replies on the request's response topic with its correlation data.
+ * Also covers display receipts for images overtaken by a newer one.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const mqtt = require('mqtt');
+const mqttPacket = require('mqtt-packet');
+
+const DEVICE_ID = 'test-frame';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-commands-'));
+process.env.SPECIFIC_DEVICE_ID = DEVICE_ID;
+process.env.MQTT_TRANSPORT = 'mqtt';
+process.env.MQTT_BROKER_URL = '127.0.0.1';
+process.env.MQTT_TOPIC_IMAGE_DISPLAY = `device/${DEVICE_ID}/image/display`;
+process.env.DEVICE_COMMANDS_ALLOWED = 'ping,get-config,clear';
+process.env.DEVICE_BROADCAST = 'false';
+process.env.SIGNATURE_MODE = 'none';
+process.env.DEVICE_STATE_FILE = path.join(tempDir, 'device-state.json');
+
+/**
+ * Minimal MQTT 5 broker: QoS 0 delivery of publishes (with their properties)
+ * to matching subscriptions, no retained messages or sessions
+ * @returns {Promise<net.Server>} Listening server
+ */
+function startBroker() {
+  const matches = (filter, topic) => {
+    const filterParts = filter.split('/');
+    const topicParts = topic.split('/');
+    for (let i = 0; i < filterParts.length; i++) {
+      if (filterParts[i] === '#') return true;
+      if (filterParts[i] !== '+' && filterParts[i] !== topicParts[i]) return false;
+    }
+    return filterParts.length === topicParts.length;
+  };
+
+  const sessions = new Set();
+  const server = net.createServer((socket) => {
+    const session = { socket, filters: new Set() };
+    const parser = mqttPacket.parser({ protocolVersion: 5 });
+    const send = packet => socket.write(mqttPacket.generate(packet, { protocolVersion: 5 }));
+
+    parser.on('packet', (packet) => {
+      switch (packet.cmd) {
+        case 'connect':
+          sessions.add(session);
+          send({ cmd: 'connack', reasonCode: 0, sessionPresent: false });
+          break;
+        case 'subscribe':
+          packet.subscriptions.forEach(sub => session.filters.add(sub.topic));
+          send({ cmd: 'suback', messageId: packet.messageId, granted: packet.subscriptions.map(() => 0) });
+          break;
+        case 'unsubscribe':
+          packet.unsubscriptions.forEach(topic => session.filters.delete(topic));
+          send({ cmd: 'unsuback', messageId: packet.messageId, granted: packet.unsubscriptions.map(() => 0) });
+          break;
+        case 'publish':
+          if (packet.qos === 1) {
+            send({ cmd: 'puback', messageId: packet.messageId, reasonCode: 0 });
+          }
+          for (const target of sessions) {
+            if ([...target.filters].some(filter => matches(filter, packet.topic))) {
+              target.socket.write(mqttPacket.generate({
+                cmd: 'publish',
+                topic: packet.topic,
+                payload: packet.payload,
+                qos: 0,
+                retain: false,
+                properties: packet.properties
+              }, { protocolVersion: 5 }));
+            }
+          }
+          break;
+        case 'pingreq':
+          send({ cmd: 'pingresp' });
+          break;
+        case 'disconnect':
+          socket.end();
+          break;
+      }
+    });
+
+    socket.on('data', data => parser.parse(data));
+    socket.on('close', () => sessions.delete(session));
+    socket.on('error', () => sessions.delete(session));
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('MQTTClient commands', () => {
+  let broker;
+  let imageServer;
+  let device;
+  let controller;
+  let handled;
+  let displayed;
+  const replies = [];
+
+  /**
+   * Wait for a reply on a topic that arrived after the first `count` replies
+   * @param {string} replyTopic - Topic the reply is expected on
+   * @param {number} count - Number of replies received before the request
+   * @param {Function} [predicate] - Additional check on the reply
+   * @returns {Promise<{topic: string, body: Object, properties: Object}>} Reply
+   */
+  const waitForReply = (replyTopic, count, predicate = () => true) => {
+    return new Promise((resolve, reject) => {
+      const started = Date.now();
+      const poll = setInterval(() => {
+        const reply = replies.slice(count).find(r => r.topic === replyTopic && predicate(r));
+        if (reply) {
+          clearInterval(poll);
+          resolve(reply);
+        } else if (Date.now() - started > 3000) {
+          clearInterval(poll);
+          reject(new Error(`No reply on ${replyTopic}`));
+        }
+      }, 10);
+    });
+  };
+
+  /**
+   * Send a command and wait for the reply on the expected topic
+   * @param {string|Object} payload - Plain command name or JSON command
+   * @param {Object} [properties] - MQTT 5 publish properties (responseTopic, correlationData)
+   * @param {string} [replyTopic] - Topic the reply is expected on
+   * @returns {Promise<{topic: string, body: Object, properties: Object}>} Reply
+   */
+  const sendCommand = (payload, properties = {}, replyTopic = `device/${DEVICE_ID}/command/response`) => {
+    const count = replies.length;
+    controller.publish(`device/${DEVICE_ID}/command`,
+      typeof payload === 'string' ? payload : JSON.stringify(payload), { qos: 1, properties });
+    return waitForReply(replyTopic, count);
+  };
+
+  before(async () => {
+    broker = await startBroker();
+
+    // Serves a slow image, so a later message overtakes it
+    imageServer = http.createServer((req, res) => {
+      setTimeout(() => res.end(Buffer.from('slow image')), 300);
+    });
+    await new Promise(resolve => imageServer.listen(0, '127.0.0.1', resolve));
+    process.env.MQTT_BROKER_PORT = String(broker.address().port);
+
+    const MQTTClient = require('../src/mqtt/MQTTClient');
+    handled = [];
+    displayed = [];
+    device = new MQTTClient({
+      handleImageMessage: (data) => displayed.push(data.toString()),
+      handleCommand: async (command, args) => {
+        handled.push({ command, args });
+        if (command === 'clear') {
+          throw new Error('Display not initialized');
+        }
+        return command === 'ping' ? { pong: true, echo: args.echo || null } : undefined;
+      }
+    });
+    await device.connect();
+    assert.strictEqual(device.state, MQTTClient.STATES.CONNECTED);
+
+    controller = mqtt.connect(`mqtt://127.0.0.1:${broker.address().port}`, { protocolVersion: 5 });
+    controller.on('message', (topic, message, packet) => {
+      replies.push({ topic, body: JSON.parse(message.toString()), properties: packet.properties || {} });
+    });
+    await new Promise(resolve => controller.on('connect', resolve));
+    await controller.subscribeAsync(['replies/#', `device/${DEVICE_ID}/command/response`, `device/${DEVICE_ID}/image/status`]);
+
+    // The device subscribes in the background after connecting
+    while (!device.topicsSubscribed.has(`device/${DEVICE_ID}/command`) ||
+      !device.topicsSubscribed.has(`device/${DEVICE_ID}/image/display`)) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  });
+
+  after(async () => {
+    await device.close();
+    await controller.endAsync();
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => imageServer.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('replies on the response topic with the correlation data of the request', async () => {
+    const reply = await sendCommand(
+      { command: 'ping', args: { echo: 'hi' } },
+      { responseTopic: 'replies/ping', correlationData: Buffer.from('request-1') },
+      'replies/ping'
+    );
+
+    assert.strictEqual(reply.body.ok, true);
+    assert.strictEqual(reply.body.command, 'ping');
+    assert.deepStrictEqual(reply.body.result, { pong: true, echo: 'hi' });
+    assert.strictEqual(reply.body.deviceId, DEVICE_ID);
+    assert.strictEqual(reply.properties.correlationData.toString(), 'request-1');
+  });
+
+  it('falls back to device/<id>/command/response without a response topic', async () => {
+    const reply = await sendCommand('ping');
+
+    assert.strictEqual(reply.body.ok, true);
+    assert.deepStrictEqual(reply.body.result, { pong: true, echo: null });
+    assert.strictEqual(reply.properties.correlationData, undefined);
+  });
+
+  it('rejects commands that are not allowlisted without executing them', async () => {
+    const before = handled.length;
+    const reply = await sendCommand(
+      { command: 'reboot' },
+      { responseTopic: 'replies/reboot', correlationData: Buffer.from('request-2') },
+      'replies/reboot'
+    );
+
+    assert.strictEqual(reply.body.ok, false);
+    assert.strictEqual(reply.body.error, 'Command not allowed: reboot');
+    assert.strictEqual(reply.properties.correlationData.toString(), 'request-2');
+    assert.strictEqual(handled.length, before);
+  });
+
+  it('reports errors thrown by the command handler', async () => {
+    const reply = await sendCommand('clear', { responseTopic: 'replies/clear' }, 'replies/clear');
+
+    assert.strictEqual(reply.body.ok, false);
+    assert.strictEqual(reply.body.command, 'clear');
+    assert.strictEqual(reply.body.error, 'Display not initialized');
+  });
+
+  it('rejects malformed payloads', async () => {
+    const reply = await sendCommand('{"command": ', { responseTopic: 'replies/bad' }, 'replies/bad');
+
+    assert.strictEqual(reply.body.ok, false);
+    assert.strictEqual(reply.body.error, 'Invalid command payload');
+  });
+
+  it('sends a superseded receipt for an image overtaken by a newer one', async () => {
+    const count = replies.length;
+    const statusTopic = `device/${DEVICE_ID}/image/status`;
+    const url = `http://127.0.0.1:${imageServer.address().port}/slow.png`;
+
+    controller.publish(`device/${DEVICE_ID}/image/display`, JSON.stringify({ url }), {
+      qos: 1, properties: { correlationData: Buffer.from('image-1') }
+    });
+    // Let the device start the slow download before the second image arrives
+    await new Promise(resolve => setTimeout(resolve, 100));
+    controller.publish(`device/${DEVICE_ID}/image/display`, 'fast image', {
+      qos: 1, properties: { correlationData: Buffer.from('image-2') }
+    });
+
+    const receipt = await waitForReply(statusTopic, count, r => r.body.correlationId === 'image-1');
+    assert.strictEqual(receipt.body.status, 'superseded');
+    assert.strictEqual(receipt.properties.correlationData.toString(), 'image-1');
+    assert.deepStrictEqual(displayed, ['fast image']);
+  });
+});
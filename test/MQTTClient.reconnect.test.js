@@ -0,0 +1,172 @@
+/**
+ * MQTTClient connection lifecycle: states, exponential backoff with jitter
+ * and reconnect scheduling, driven with a fake mqtt.js client
+ */
+const { describe, it, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MIN_DELAY = 100;
+const MAX_DELAY = 1000;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-reconnect-'));
+process.env.MQTT_RECONNECT_MIN_DELAY = String(MIN_DELAY);
+process.env.MQTT_RECONNECT_MAX_DELAY = String(MAX_DELAY);
+process.env.DEVICE_STATE_FILE = path.join(tempDir, 'device-state.json');
+
+const MQTTClient = require('../src/mqtt/MQTTClient');
+const { STATES } = MQTTClient;
+
+/**
+ * Stand-in for the mqtt.js client with the calls MQTTClient makes
+ * @returns {Object} Fake client recording reconnects and publishes
+ */
+function createFakeClient() {
+  return {
+    options: { will: { payload: '' } },
+    reconnects: 0,
+    published: [],
+    reconnect() {
+      this.reconnects++;
+    },
+    subscribe(topic, options, callback) {
+      callback(null);
+    },
+    publish(topic, payload, options, callback) {
+      this.published.push(topic);
+      callback(null);
+    }
+  };
+}
+
+describe('MQTTClient reconnect', () => {
+  let client;
+  let timers;
+
+  beforeEach(() => {
+    // Capture scheduled reconnects instead of waiting for them
+    timers = [];
+    mock.method(global, 'setTimeout', (callback, delay) => {
+      const timer = { callback, delay };
+      timers.push(timer);
+      return timer;
+    });
+    mock.method(global, 'clearTimeout', () => {});
+
+    client = new MQTTClient({});
+    client.client = createFakeClient();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('getReconnectDelay', () => {
+    it('stays within half and all of the exponential ceiling', () => {
+      for (let attempt = 0; attempt < 12; attempt++) {
+        const ceiling = Math.min(MAX_DELAY, MIN_DELAY * Math.pow(2, attempt));
+
+        mock.method(Math, 'random', () => 0);
+        assert.strictEqual(client.getReconnectDelay(attempt), ceiling / 2);
+
+        Math.random.mock.mockImplementation(() => 0.999999);
+        assert.strictEqual(client.getReconnectDelay(attempt), ceiling);
+        Math.random.mock.restore();
+      }
+    });
+
+    it('never exceeds the maximum delay', () => {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const delay = client.getReconnectDelay(attempt);
+        assert.ok(delay <= MAX_DELAY, `attempt ${attempt}: ${delay}ms`);
+        assert.ok(delay >= MIN_DELAY / 2, `attempt ${attempt}: ${delay}ms`);
+      }
+    });
+
+    it('spreads delays so clients do not reconnect in lockstep', () => {
+      const delays = new Set();
+      for (let i = 0; i < 50; i++) {
+        delays.add(client.getReconnectDelay(5));
+      }
+      assert.ok(delays.size > 10, `only ${delays.size} distinct delays`);
+    });
+  });
+
+  describe('scheduleReconnect', () => {
+    it('enters backoff and reconnects when the delay has passed', () => {
+      const states = [];
+      client.on('state', (state, previous) => states.push([previous, state]));
+
+      client.scheduleReconnect();
+      assert.strictEqual(client.state, STATES.BACKOFF);
+      assert.strictEqual(client.reconnectAttempts, 1);
+      assert.strictEqual(timers.length, 1);
+      assert.ok(timers[0].delay >= MIN_DELAY / 2 && timers[0].delay <= MIN_DELAY);
+
+      timers[0].callback();
+      assert.strictEqual(client.state, STATES.CONNECTING);
+      assert.strictEqual(client.client.reconnects, 1);
+      assert.deepStrictEqual(states, [[STATES.OFFLINE, STATES.BACKOFF], [STATES.BACKOFF, STATES.CONNECTING]]);
+    });
+
+    it('schedules only one reconnect at a time', () => {
+      client.scheduleReconnect();
+      client.scheduleReconnect();
+      assert.strictEqual(timers.length, 1);
+      assert.strictEqual(client.reconnectAttempts, 1);
+    });
+
+    it('backs off exponentially up to the maximum while connecting keeps failing', () => {
+      mock.method(Math, 'random', () => 0.999999);
+
+      for (let attempt = 0; attempt < 8; attempt++) {
+        client.handleClose();
+        const timer = timers[timers.length - 1];
+        assert.strictEqual(timer.delay, Math.min(MAX_DELAY, MIN_DELAY * Math.pow(2, attempt)));
+        timer.callback();
+      }
+      assert.strictEqual(client.reconnectAttempts, 8);
+      assert.strictEqual(client.client.reconnects, 8);
+    });
+
+    it('starts over at the minimum delay after a successful connection', () => {
+      mock.method(Math, 'random', () => 0.999999);
+      for (let attempt = 0; attempt < 4; attempt++) {
+        client.handleClose();
+        timers[timers.length - 1].callback();
+      }
+
+      let disconnected = 0;
+      client.on('disconnected', () => disconnected++);
+
+      client.handleConnect();
+      assert.strictEqual(client.state, STATES.CONNECTED);
+      assert.strictEqual(client.reconnectAttempts, 0);
+
+      client.handleClose();
+      assert.strictEqual(disconnected, 1);
+      assert.strictEqual(client.state, STATES.BACKOFF);
+      assert.strictEqual(timers[timers.length - 1].delay, MIN_DELAY);
+    });
+
+    it('does not reconnect while closing', () => {
+      client.closing = true;
+      client.handleClose();
+      assert.strictEqual(client.state, STATES.OFFLINE);
+      assert.strictEqual(timers.length, 0);
+    });
+
+    it('drops a pending reconnect when closed meanwhile', () => {
+      client.scheduleReconnect();
+      client.closing = true;
+      timers[0].callback();
+      assert.strictEqual(client.client.reconnects, 0);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * PaletteQuantizer: palette definitions, quantization with each dithering
+ * method and the native 4-bit packing of color panels
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const PaletteQuantizer = require('../src/display/PaletteQuantizer');
+
+const BLACK_WHITE = PaletteQuantizer.resolve('#000000:0,#ffffff:1');
+
+/**
+ * Flat RGB image of one color
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number[]} rgb - Color
+ * @returns {Buffer} Raw RGB buffer
+ */
+function flat(width, height, rgb) {
+  const buffer = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) {
+    buffer.set(rgb, i * 3);
+  }
+  return buffer;
+}
+
+describe('PaletteQuantizer', () => {
+  describe('resolve', () => {
+    it('resolves built-in palettes by name', () => {
+      assert.strictEqual(PaletteQuantizer.resolve(' ACEP7 ').length, 7);
+      assert.deepStrictEqual(PaletteQuantizer.PALETTE_NAMES, ['spectra6', 'acep7']);
+    });
+
+    it('parses custom palettes with explicit or positional codes', () => {
+      assert.deepStrictEqual(PaletteQuantizer.resolve('#000000:3, FF0000:12'), [
+        { name: '#000000', rgb: [0, 0, 0], code: 3 },
+        { name: '#ff0000', rgb: [255, 0, 0], code: 12 }
+      ]);
+      assert.deepStrictEqual(PaletteQuantizer.resolve('#000000,#ffffff,#0000ff').map(entry => entry.code), [0, 1, 2]);
+    });
+
+    it('rejects duplicate native codes', () => {
+      assert.strictEqual(PaletteQuantizer.resolve('#000000:1,#ffffff:1'), null);
+      // The second color takes code 1 from its position
+      assert.strictEqual(PaletteQuantizer.resolve('#000000:1,#ffffff'), null);
+    });
+
+    it('rejects invalid palettes', () => {
+      for (const definition of ['', 'rainbow', '#000000', '#000000:0,#fff:1', '#000000:0,#ffffff:16', 42, null]) {
+        assert.strictEqual(PaletteQuantizer.resolve(definition), null, JSON.stringify(definition));
+      }
+    });
+  });
+
+  describe('quantize', () => {
+    it('maps palette colors to themselves without dithering', () => {
+      const palette = PaletteQuantizer.resolve('spectra6');
+      const rgb = Buffer.from(palette.flatMap(entry => entry.rgb));
+
+      assert.deepStrictEqual(Array.from(PaletteQuantizer.quantize(rgb, palette.length, 1, palette, 'none')),
+        palette.map((_, i) => i));
+    });
+
+    it('renders mid gray as about half white pixels with every dithering method', () => {
+      for (const method of ['floyd-steinberg', 'atkinson', 'bayer']) {
+        const indices = PaletteQuantizer.quantize(flat(16, 16, [128, 128, 128]), 16, 16, BLACK_WHITE, method);
+        const white = indices.filter(index => index === 1).length / indices.length;
+        assert.ok(white > 0.4 && white < 0.6, `${method}: ${white}`);
+      }
+
+      const undithered = PaletteQuantizer.quantize(flat(4, 4, [128, 128, 128]), 4, 4, BLACK_WHITE, 'none');
+      assert.ok(undithered.every(index => index === undithered[0]));
+    });
+  });
+
+  describe('pack and unpack', () => {
+    it('packs native codes two pixels per byte, first pixel in the high nibble', () => {
+      const palette = PaletteQuantizer.resolve('#000000:2,#ffffff:9,#ff0000:15');
+
+      assert.deepStrictEqual(PaletteQuantizer.pack(Uint8Array.from([0, 1, 2, 0]), palette), Buffer.from([0x29, 0xf2]));
+      // An odd last pixel fills both nibbles
+      assert.deepStrictEqual(PaletteQuantizer.pack(Uint8Array.from([1, 2, 1]), palette), Buffer.from([0x9f, 0x99]));
+    });
+
+    it('unpacks to the palette colors', () => {
+      const palette = PaletteQuantizer.resolve('acep7');
+      const indices = Uint8Array.from([0, 1, 2, 3, 4, 5, 6]);
+      const rgb = PaletteQuantizer.unpack(PaletteQuantizer.pack(indices, palette), indices.length, palette);
+
+      assert.deepStrictEqual(rgb, Buffer.from(Array.from(indices).flatMap(index => palette[index].rgb)));
+    });
+
+    it('shows codes outside the palette as white', () => {
+      assert.deepStrictEqual(PaletteQuantizer.unpack(Buffer.from([0x07]), 2, BLACK_WHITE),
+        Buffer.from([0, 0, 0, 255, 255, 255]));
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * PayloadVerifier: HMAC signatures, freshness window and nonce replay protection
+ */
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const SECRET = 'test-secret';
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-verify-'));
+process.env.SIGNATURE_MODE = 'hmac';
+process.env.SIGNATURE_HMAC_SECRET = SECRET;
+process.env.SIGNATURE_MAX_AGE = '60';
+process.env.DEVICE_STATE_FILE = path.join(tempDir, 'device-state.json');
+
+const PayloadVerifier = require('../src/mqtt/PayloadVerifier');
+
+/**
+ * Build a packet signed the way the backend does
+ * @param {string} kind - Message kind
+ * @param {Buffer} payload - Payload
+ * @param {Object} [fields] - timestamp and nonce user properties (omitted for images)
+ * @returns {Object} Packet with user properties
+ */
+function signedPacket(kind, payload, fields = {}) {
+  const header = fields.timestamp !== undefined ? `${kind}\n${fields.timestamp}\n${fields.nonce}\n` : `${kind}\n`;
+  const signature = crypto.createHmac('sha256', SECRET)
+    .update(Buffer.concat([Buffer.from(header), payload]))
+    .digest('base64');
+  return { properties: { userProperties: { signature, ...fields } } };
+}
+
+describe('PayloadVerifier', () => {
+  const payload = Buffer.from('{"display":{"gamma":1.2}}');
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('accepts a fresh signed config message once', () => {
+    const packet = signedPacket('config', payload, { timestamp: String(Date.now()), nonce: 'nonce-1' });
+
+    assert.deepStrictEqual(PayloadVerifier.verify('config', payload, packet), { valid: true, reason: null });
+    assert.deepStrictEqual(PayloadVerifier.verify('config', payload, packet), { valid: false, reason: 'Replayed nonce' });
+  });
+
+  it('rejects messages outside the time window', () => {
+    for (const timestamp of [Date.now() - 61000, Date.now() + 61000]) {
+      const packet = signedPacket('command', Buffer.from('reboot'), { timestamp: String(timestamp), nonce: `n-${timestamp}` });
+      assert.deepStrictEqual(PayloadVerifier.verify('command', Buffer.from('reboot'), packet), {
+        valid: false, reason: 'Signature timestamp outside the allowed window'
+      });
+    }
+  });
+
+  it('requires a timestamp and nonce on config and command messages', () => {
+    const packet = signedPacket('command', Buffer.from('reboot'));
+    assert.deepStrictEqual(PayloadVerifier.verify('command', Buffer.from('reboot'), packet), {
+      valid: false, reason: 'Missing signature timestamp or nonce'
+    });
+  });
+
+  it('rejects a changed timestamp, so the window cannot be extended', () => {
+    const packet = signedPacket('config', payload, { timestamp: String(Date.now() - 120000), nonce: 'nonce-2' });
+    packet.properties.userProperties.timestamp = String(Date.now());
+
+    assert.deepStrictEqual(PayloadVerifier.verify('config', payload, packet), { valid: false, reason: 'Invalid signature' });
+  });
+
+  it('does not use up a nonce with an invalid signature', () => {
+    const fields = { timestamp: String(Date.now()), nonce: 'nonce-3' };
+    const forged = signedPacket('config', Buffer.from('{"display":{"gamma":3}}'), fields);
+
+    assert.strictEqual(PayloadVerifier.verify('config', payload, forged).valid, false);
+    assert.strictEqual(PayloadVerifier.verify('config', payload, signedPacket('config', payload, fields)).valid, true);
+  });
+
+  it('rejects a payload signed for another kind', () => {
+    const fields = { timestamp: String(Date.now()), nonce: 'nonce-4' };
+    const packet = signedPacket('config', payload, fields);
+
+    assert.deepStrictEqual(PayloadVerifier.verify('command', payload, packet), { valid: false, reason: 'Invalid signature' });
+  });
+
+  it('accepts images without a timestamp, also when delivered again', () => {
+    const image = Buffer.from('image bytes');
+    const packet = signedPacket('image', image);
+
+    assert.strictEqual(PayloadVerifier.verify('image', image, packet).valid, true);
+    assert.strictEqual(PayloadVerifier.verify('image', image, packet).valid, true);
+  });
+
+  it('rejects unsigned messages', () => {
+    assert.deepStrictEqual(PayloadVerifier.verify('image', Buffer.from('x'), {}), { valid: false, reason: 'Missing signature' });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * PixelPacker: MSB-first packing at 1, 2, 4 and 8 bits per pixel and round trips
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const PixelPacker = require('../src/display/PixelPacker');
+
+/**
+ * Every gray level of a bit depth as 8-bit values
+ * @param {number} bpp - Bits per pixel
+ * @returns {Buffer} One pixel per level, darkest first
+ */
+function allLevels(bpp) {
+  const maxLevel = PixelPacker.levels(bpp) - 1;
+  return Buffer.from(Array.from({ length: maxLevel + 1 }, (_, level) => Math.round((level * 255) / maxLevel)));
+}
+
+describe('PixelPacker', () => {
+  it('puts the first pixel of each byte in the high bits', () => {
+    assert.deepStrictEqual(PixelPacker.pack(Buffer.from([255, 0, 0, 0, 0, 0, 0, 255]), 1), Buffer.from([0x81]));
+    assert.deepStrictEqual(PixelPacker.pack(Buffer.from([255, 0, 85, 170]), 2), Buffer.from([0b11000110]));
+    assert.deepStrictEqual(PixelPacker.pack(Buffer.from([17, 255, 0, 136]), 4), Buffer.from([0x1f, 0x08]));
+    assert.deepStrictEqual(PixelPacker.pack(Buffer.from([1, 2, 3]), 8), Buffer.from([1, 2, 3]));
+  });
+
+  it('round-trips every gray level at every bit depth', () => {
+    for (const bpp of PixelPacker.SUPPORTED_BPP) {
+      const levels = allLevels(bpp);
+      // Repeat with an offset, so levels land in every position within a byte
+      const input = Buffer.concat([levels, levels.subarray(1), levels]);
+      const packed = PixelPacker.pack(input, bpp);
+
+      assert.strictEqual(packed.length, Math.ceil((input.length * bpp) / 8), `${bpp}bpp size`);
+      assert.deepStrictEqual(PixelPacker.unpack(packed, input.length, bpp), input, `${bpp}bpp round trip`);
+    }
+  });
+
+  it('maps other values to the nearest level', () => {
+    const packed = PixelPacker.pack(Buffer.from([100, 200, 127, 128]), 2);
+    assert.deepStrictEqual(PixelPacker.unpack(packed, 4, 2), Buffer.from([85, 170, 85, 170]));
+
+    assert.deepStrictEqual(PixelPacker.unpack(PixelPacker.pack(Buffer.from([127, 128]), 1), 2, 1), Buffer.from([0, 255]));
+  });
+
+  it('pads a partial last byte with zero bits', () => {
+    const packed = PixelPacker.pack(Buffer.from([255, 255, 255]), 1);
+    assert.deepStrictEqual(packed, Buffer.from([0xe0]));
+    assert.deepStrictEqual(PixelPacker.unpack(packed, 3, 1), Buffer.from([255, 255, 255]));
+  });
+
+  it('knows the supported bit depths and their levels', () => {
+    assert.deepStrictEqual(PixelPacker.SUPPORTED_BPP.map(PixelPacker.levels), [2, 4, 16, 256]);
+    assert.strictEqual(PixelPacker.isSupported(3), false);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * QuietHours: window parsing, timezones, windows past midnight and the
+ * start/end events, driven with mocked timers and clock
+ */
+const { describe, it, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-quiet-'));
+process.env.QUIET_HOURS = '22:00-07:00';
+process.env.SCHEDULE_TIMEZONE = 'UTC';
+process.env.DEVICE_STATE_FILE = path.join(tempDir, 'device-state.json');
+
+const config = require('../src/config/ConfigManager');
+const QuietHours = require('../src/display/QuietHours');
+
+describe('QuietHours', () => {
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseWindow', () => {
+    it('normalizes windows with and without days', () => {
+      assert.deepStrictEqual(QuietHours.parseWindow('22:00-7:00'), { start: '22:00', end: '07:00' });
+      assert.deepStrictEqual(QuietHours.parseWindow('Sun,sat 23:00 - 09:30'), {
+        start: '23:00', end: '09:30', days: ['sun', 'sat']
+      });
+      assert.deepStrictEqual(QuietHours.parseWindow({ start: '1:05', end: '02:00', days: ['Monday'] }), {
+        start: '01:05', end: '02:00', days: ['mon']
+      });
+    });
+
+    it('rejects invalid windows', () => {
+      for (const value of ['', '22:00', '25:00-07:00', '22:00-22:00', 'xyz 22:00-07:00', { start: '22:00' },
+        { start: '22:00', end: '07:00', days: 'sat' }, { start: '22:00', end: '07:00', days: [] }, null, 42]) {
+        assert.strictEqual(QuietHours.parseWindow(value), null, JSON.stringify(value));
+      }
+    });
+  });
+
+  describe('isQuiet', () => {
+    const at = iso => new Date(iso);
+
+    it('covers both sides of midnight for a window that ends before it starts', () => {
+      const windows = [QuietHours.parseWindow('22:00-07:00')];
+
+      assert.strictEqual(QuietHours.isQuiet(windows, 'UTC', at('2026-10-19T21:59:00Z')), false);
+      assert.strictEqual(QuietHours.isQuiet(windows, 'UTC', at('2026-10-19T22:00:00Z')), true);
+      assert.strictEqual(QuietHours.isQuiet(windows, 'UTC', at('2026-10-20T03:00:00Z')), true);
+      assert.strictEqual(QuietHours.isQuiet(windows, 'UTC', at('2026-10-20T06:59:00Z')), true);
+      assert.strictEqual(QuietHours.isQuiet(windows, 'UTC', at('2026-10-20T07:00:00Z')), false);
+    });
+
+    it('evaluates windows in the given timezone', () => {
+      const windows = [QuietHours.parseWindow('22:00-07:00')];
+
+      // 21:30 UTC is 06:30 the next morning in Tokyo and 23:30 in Berlin (CEST)
+      assert.strictEqual(QuietHours.isQuiet(windows, 'Asia/Tokyo', at('2026-10-19T21:30:00Z')), true);
+      assert.strictEqual(QuietHours.isQuiet(windows, 'Europe/Berlin', at('2026-10-19T21:30:00Z')), true);
+      assert.strictEqual(QuietHours.isQuiet(windows, 'UTC', at('2026-10-19T21:30:00Z')), false);
+      assert.strictEqual(QuietHours.isQuiet(windows, 'America/New_York', at('2026-10-19T21:30:00Z')), false);
+    });
+
+    it('assigns the morning part of an overnight window to the day it starts on', () => {
+      const windows = [QuietHours.parseWindow('sat 23:00-09:00')];
+
+      // 2026-10-24 is a Saturday
+      assert.strictEqual(QuietHours.isQuiet(windows, 'UTC', at('2026-10-24T23:30:00Z')), true);
+      assert.strictEqual(QuietHours.isQuiet(windows, 'UTC', at('2026-10-25T08:00:00Z')), true);
+      assert.strictEqual(QuietHours.isQuiet(windows, 'UTC', at('2026-10-25T23:30:00Z')), false);
+      assert.strictEqual(QuietHours.isQuiet(windows, 'UTC', at('2026-10-24T08:00:00Z')), false);
+    });
+
+    it('is never quiet without windows', () => {
+      assert.strictEqual(QuietHours.isQuiet([], 'UTC'), false);
+      assert.strictEqual(QuietHours.isQuiet(undefined, 'UTC'), false);
+    });
+  });
+
+  describe('msUntilBoundary', () => {
+    it('waits until just after the next window boundary', () => {
+      const windows = [QuietHours.parseWindow('22:00-07:00')];
+      assert.strictEqual(QuietHours.msUntilBoundary(windows, 'UTC', new Date('2026-10-19T21:59:30Z')), 31000);
+    });
+
+    it('re-checks at least every hour', () => {
+      const windows = [QuietHours.parseWindow('22:00-07:00')];
+      assert.strictEqual(QuietHours.msUntilBoundary(windows, 'UTC', new Date('2026-10-19T12:00:00Z')), 60 * 60 * 1000);
+      assert.strictEqual(QuietHours.msUntilBoundary([], 'UTC'), null);
+    });
+  });
+
+  describe('events', () => {
+    let quietHours;
+
+    afterEach(() => {
+      quietHours.stop();
+      mock.timers.reset();
+    });
+
+    it('emits start and end at the window boundaries', () => {
+      mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-10-19T21:59:00Z') });
+      quietHours = new QuietHours();
+      const events = [];
+      quietHours.on('start', () => events.push('start'));
+      quietHours.on('end', () => events.push('end'));
+
+      quietHours.start();
+      assert.strictEqual(quietHours.quiet, false);
+
+      mock.timers.tick(61 * 1000);
+      assert.deepStrictEqual(events, ['start']);
+      assert.strictEqual(quietHours.quiet, true);
+
+      // Hourly re-checks through the night, then the end at 07:00
+      for (let hour = 0; hour < 9; hour++) {
+        mock.timers.tick(60 * 60 * 1000);
+      }
+      assert.deepStrictEqual(events, ['start', 'end']);
+      assert.strictEqual(quietHours.quiet, false);
+    });
+
+    it('starts quiet without an event inside a window and re-checks when the schedule changes', () => {
+      mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2026-10-19T23:00:00Z') });
+      quietHours = new QuietHours();
+      const events = [];
+      quietHours.on('end', () => events.push('end'));
+
+      quietHours.start();
+      assert.strictEqual(quietHours.quiet, true);
+      assert.deepStrictEqual(events, []);
+
+      config.updateConfig({ schedule: { quietHours: [] } });
+      assert.deepStrictEqual(events, ['end']);
+      assert.strictEqual(quietHours.quiet, false);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * SimulatorDisplayAdapter: renders through the panel pipeline and writes the
+ * quantized frame as PNG, for grayscale and palette panels
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const WIDTH = 8;
+const HEIGHT = 4;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-simulator-'));
+process.env.DEVICE_STATE_FILE = path.join(tempDir, 'device-state.json');
+process.env.IMAGE_SAVE_PATH = path.join(tempDir, 'images');
+process.env.SPECIFIC_DEVICE_ID = 'sim:frame';
+process.env.DISPLAY_WIDTH = String(WIDTH);
+process.env.DISPLAY_HEIGHT = String(HEIGHT);
+process.env.DISPLAY_BPP = '2';
+process.env.DISPLAY_DITHERING = 'none';
+
+const config = require('../src/config/ConfigManager');
+const SimulatorDisplayAdapter = require('../src/display/adapters/SimulatorDisplayAdapter');
+
+/**
+ * Encode raw pixels as PNG
+ * @param {number[]} pixels - Pixel values, `channels` per pixel
+ * @param {number} channels - 1 for gray, 3 for RGB
+ * @returns {Promise<Buffer>} PNG image
+ */
+function png(pixels, channels) {
+  return sharp(Buffer.from(pixels), { raw: { width: WIDTH, height: HEIGHT, channels } }).png().toBuffer();
+}
+
+describe('SimulatorDisplayAdapter', () => {
+  let adapter;
+  let outputPath;
+
+  /**
+   * Pixels of the simulated frame
+   * @returns {Promise<{data: Buffer, info: Object}>} Raw pixels and their format
+   */
+  const readOutput = () => sharp(outputPath).raw().toBuffer({ resolveWithObject: true });
+
+  /**
+   * Gray level of each pixel of a grayscale simulated frame
+   * @returns {Promise<number[]>} One value per pixel
+   */
+  const readGrays = async () => {
+    const { data, info } = await readOutput();
+    assert.deepStrictEqual([info.width, info.height], [WIDTH, HEIGHT]);
+    const grays = [];
+    for (let i = 0; i < data.length; i += info.channels) {
+      // Gray frames may be stored as RGB; every channel holds the same level
+      assert.ok(data.subarray(i, i + info.channels).every(value => value === data[i]));
+      grays.push(data[i]);
+    }
+    return grays;
+  };
+
+  before(() => {
+    adapter = new SimulatorDisplayAdapter();
+    adapter.init();
+    outputPath = path.join(tempDir, 'images', 'sim_frame', 'latest_simulated.png');
+  });
+
+  after(() => {
+    adapter.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('writes the gray levels the panel shows at its bit depth', async () => {
+    // One column per input gray; 2bpp shows 0, 85, 170 and 255
+    const row = [0, 40, 50, 100, 140, 200, 220, 255];
+    const result = await adapter.displayImage(await png([...row, ...row, ...row, ...row], 1));
+
+    assert.deepStrictEqual(result, { width: WIDTH, height: HEIGHT });
+    const grays = await readGrays();
+    assert.deepStrictEqual(grays.slice(0, WIDTH), [0, 0, 85, 85, 170, 170, 255, 255]);
+    assert.deepStrictEqual(grays.slice(WIDTH * (HEIGHT - 1)), grays.slice(0, WIDTH));
+  });
+
+  it('fits the image to the panel', async () => {
+    const large = await sharp({ create: { width: 80, height: 40, channels: 3, background: '#000000' } }).png().toBuffer();
+    await adapter.displayImage(large, { fit: 'fill' });
+
+    assert.ok((await readGrays()).every(value => value === 0));
+  });
+
+  it('keeps the last frame when a full refresh fails to render', async () => {
+    await adapter.displayImage(await png(new Array(WIDTH * HEIGHT).fill(0), 1));
+
+    await assert.rejects(adapter.displayImage(Buffer.from('not an image'), { fullRefresh: true }));
+    await adapter.pendingWrite;
+    assert.ok((await readGrays()).every(value => value === 0), 'panel was cleared');
+  });
+
+  it('writes palette colors for color panels', async () => {
+    config.updateConfig({ display: { palette: 'acep7' } });
+
+    const red = [250, 10, 10];
+    const blue = [10, 10, 240];
+    const pixels = [];
+    for (let i = 0; i < WIDTH * HEIGHT; i++) {
+      pixels.push(...(i % WIDTH < WIDTH / 2 ? red : blue));
+    }
+    await adapter.displayImage(await png(pixels, 3), { fullRefresh: true });
+    await adapter.pendingWrite;
+
+    const { data, info } = await readOutput();
+    assert.strictEqual(info.channels, 3);
+    assert.deepStrictEqual(Array.from(data.subarray(0, 3)), [255, 0, 0]);
+    assert.deepStrictEqual(Array.from(data.subarray((WIDTH - 1) * 3, WIDTH * 3)), [0, 0, 255]);
+  });
+});
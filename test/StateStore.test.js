@@ -0,0 +1,130 @@
+/**
+ * StateStore: atomic saves (temp file, fsync, rename, directory fsync) and
+ * ConfigManager's migration of the legacy flat state file to version 1
+ */
+const { describe, it, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'einkframe-state-'));
+const legacyFile = path.join(tempDir, 'device-state.json');
+process.env.DEVICE_STATE_FILE = legacyFile;
+
+// State file as written before config versions existed
+fs.writeFileSync(legacyFile, JSON.stringify({ display: { gamma: 1.3 }, enableAutoShutdown: true }));
+
+const StateStore = require('../src/config/StateStore');
+const config = require('../src/config/ConfigManager');
+
+describe('StateStore', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('save', () => {
+    it('writes and syncs a temp file, renames it over the state file, then syncs the directory', () => {
+      const filePath = path.join(tempDir, 'nested', 'state.json');
+      const store = new StateStore(filePath);
+      const steps = [];
+      const paths = new Map();
+
+      const { openSync, fsyncSync, renameSync } = fs;
+      mock.method(fs, 'openSync', (target, ...args) => {
+        const fd = openSync(target, ...args);
+        paths.set(fd, target);
+        return fd;
+      });
+      mock.method(fs, 'fsyncSync', (fd) => {
+        steps.push(['fsync', paths.get(fd)]);
+        return fsyncSync(fd);
+      });
+      mock.method(fs, 'renameSync', (from, to) => {
+        steps.push(['rename', from, to]);
+        return renameSync(from, to);
+      });
+
+      assert.strictEqual(store.save({ version: 1 }), true);
+
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      assert.deepStrictEqual(steps, [
+        ['fsync', tempPath],
+        ['rename', tempPath, filePath],
+        ['fsync', path.dirname(filePath)]
+      ]);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { version: 1 });
+      assert.strictEqual(fs.statSync(filePath).mode & 0o777, 0o600);
+      assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['state.json']);
+    });
+
+    it('keeps the previous state and removes the temp file when the rename fails', () => {
+      const filePath = path.join(tempDir, 'failing.json');
+      fs.writeFileSync(filePath, JSON.stringify({ version: 1 }));
+      const store = new StateStore(filePath);
+
+      mock.method(fs, 'renameSync', () => {
+        throw new Error('disk full');
+      });
+
+      assert.strictEqual(store.save({ version: 2 }), false);
+      assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { version: 1 });
+      assert.strictEqual(fs.existsSync(`${filePath}.${process.pid}.tmp`), false);
+      assert.deepStrictEqual(store.load(), { version: 1 });
+    });
+  });
+
+  describe('load', () => {
+    it('reads the state once and keeps saved state in memory', () => {
+      const filePath = path.join(tempDir, 'cached.json');
+      fs.writeFileSync(filePath, JSON.stringify({ version: 3 }));
+      const store = new StateStore(filePath);
+
+      assert.deepStrictEqual(store.load(), { version: 3 });
+      fs.writeFileSync(filePath, JSON.stringify({ version: 4 }));
+      assert.deepStrictEqual(store.load(), { version: 3 });
+
+      store.save({ version: 5 });
+      assert.deepStrictEqual(store.load(), { version: 5 });
+    });
+
+    it('starts empty for missing, corrupt and non-object state files', () => {
+      const corrupt = path.join(tempDir, 'corrupt.json');
+      const array = path.join(tempDir, 'array.json');
+      fs.writeFileSync(corrupt, '{"version": ');
+      fs.writeFileSync(array, '[1, 2]');
+
+      for (const filePath of [path.join(tempDir, 'missing.json'), corrupt, array]) {
+        assert.deepStrictEqual(new StateStore(filePath).load(), {});
+      }
+    });
+  });
+
+  describe('legacy state file', () => {
+    it('loads flat settings as confirmed version 1', () => {
+      assert.strictEqual(config.display.gamma, 1.3);
+      assert.strictEqual(config.autoShutdown.enabled, true);
+      assert.strictEqual(config.configVersion, 1);
+      assert.strictEqual(config.pendingConfigVersion, null);
+      assert.deepStrictEqual(config.configHistory.map(({ version, confirmed }) => ({ version, confirmed })), [
+        { version: 1, confirmed: true }
+      ]);
+    });
+
+    it('rewrites the file in the versioned format on the next update', () => {
+      assert.strictEqual(config.updateConfig({ display: { gamma: 1.6 } }), 2);
+
+      const saved = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+      assert.strictEqual(saved.version, 2);
+      assert.deepStrictEqual(saved.settings, { display: { gamma: 1.6 }, autoShutdown: { enabled: true } });
+      assert.deepStrictEqual(saved.history.map(entry => [entry.version, entry.confirmed, entry.settings]), [
+        [1, true, { display: { gamma: 1.3 }, autoShutdown: { enabled: true } }],
+        [2, false, { display: { gamma: 1.6 }, autoShutdown: { enabled: true } }]
+      ]);
+    });
+  });
+});